@@ -0,0 +1,368 @@
+/**
+ * Sovereign Builder Kit — agent mode tools
+ *
+ * `mode: "agent"` lets the model work in a project through Ollama tool
+ * calling. Every tool is confined to the workspace root from config
+ * (`agent.root`):
+ *
+ *   read_file    numbered lines of a text file
+ *   list_dir     a directory's entries
+ *   grep         a regex over the project's files (git-tracked and untracked, minus ignored)
+ *   run_command  a program from the `agent.commands` allowlist, no shell
+ *   write_file   create or replace a file (same path checks as /scaffold)
+ *
+ * Each tool has an approval policy (`agent.approve`): auto runs it, deny
+ * never does, ask needs the user's yes — over SSE on /chat/stream, or by
+ * naming the tool in the request's `approve` list on /chat. The loop stops
+ * after `maxSteps` model turns that call tools and asks for an answer with
+ * what it has. Every call, approved or not, is kept in the transcript.
+ */
+
+import crypto from 'node:crypto';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { realpathSync } from 'node:fs';
+import { resolve, sep } from 'node:path';
+import { checkFiles, pathProblem, planWrites, writePlan } from './project-files.mjs';
+import { listSourceFiles } from './retrieval.mjs';
+import { runCommand } from './verify.mjs';
+
+export const TOOL_NAMES = ['read_file', 'list_dir', 'grep', 'run_command', 'write_file'];
+export const APPROVAL_POLICIES = ['auto', 'ask', 'deny'];
+export const DEFAULT_MAX_STEPS = 8;
+export const MAX_STEPS = 25;
+export const APPROVAL_TIMEOUT_MS = 5 * 60_000;
+
+const MAX_FILE_BYTES = 256 * 1024;
+const MAX_READ_LINES = 400;
+const MAX_ENTRIES = 300;
+const MAX_MATCHES = 100;
+const MAX_OUTPUT = 8000;
+const COMMAND_TIMEOUT_MS = 120_000;
+
+// ── Tool definitions (Ollama / OpenAI function format) ─────────────
+
+const DEFINITIONS = {
+  read_file: {
+    description: 'Read a text file in the workspace. Returns numbered lines.',
+    parameters: {
+      type: 'object',
+      required: ['path'],
+      properties: {
+        path: { type: 'string', description: 'Path relative to the workspace root' },
+        startLine: { type: 'integer', description: 'First line to return (default 1)' },
+        endLine: { type: 'integer', description: `Last line to return (at most ${MAX_READ_LINES} lines per call)` },
+      },
+    },
+  },
+  list_dir: {
+    description: 'List the entries of a workspace directory. Directories end with /.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory relative to the workspace root (default .)' },
+      },
+    },
+  },
+  grep: {
+    description: 'Search the workspace files for a regular expression. Returns path:line: text matches.',
+    parameters: {
+      type: 'object',
+      required: ['pattern'],
+      properties: {
+        pattern: { type: 'string', description: 'JavaScript regular expression' },
+        path: { type: 'string', description: 'Only search under this directory or file' },
+        ignoreCase: { type: 'boolean' },
+      },
+    },
+  },
+  run_command: {
+    description: 'Run an allowlisted command in the workspace root, without a shell. Returns its exit status and output.',
+    parameters: {
+      type: 'object',
+      required: ['command'],
+      properties: {
+        command: { type: 'string', description: 'The program, e.g. npm' },
+        args: { type: 'array', items: { type: 'string' }, description: 'Arguments, e.g. ["test"]' },
+      },
+    },
+  },
+  write_file: {
+    description: 'Create or replace a file in the workspace with the complete new content.',
+    parameters: {
+      type: 'object',
+      required: ['path', 'content'],
+      properties: {
+        path: { type: 'string', description: 'Path relative to the workspace root' },
+        content: { type: 'string', description: 'The whole file' },
+      },
+    },
+  },
+};
+
+// "npm test" allows `npm test` and `npm test -- --watch=false`, not `npm publish`
+function commandAllowed(allowlist, tokens) {
+  return allowlist.some(entry => {
+    const prefix = entry.trim().split(/\s+/);
+    return prefix.length <= tokens.length && prefix.every((token, i) => token === tokens[i]);
+  });
+}
+
+// `/etc/passwd`, `../x`, `--output=/tmp/x`: arguments that reach outside the workspace
+function outsideArgument(tokens) {
+  return tokens.find(token => {
+    const value = token.replace(/^--?[\w-]+=/, '');
+    return value.startsWith('/') || value.startsWith('~') || /^[a-z]:/i.test(value) || value.split(/[\\/]/).includes('..');
+  });
+}
+
+function clip(text) {
+  return text.length > MAX_OUTPUT ? `${text.slice(0, MAX_OUTPUT)}\n... (${text.length - MAX_OUTPUT} more characters)` : text;
+}
+
+function toolError(message) {
+  return Object.assign(new Error(message), { tool: true });
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.root - workspace the tools are confined to
+ * @param {string[]} options.commands - run_command allowlist ("git status", "npm test", ...)
+ * @param {Record<string, 'auto'|'ask'|'deny'>} options.approve - policy per tool
+ */
+export function createAgentTools({ root, commands, approve }) {
+  const base = realpathSync(resolve(root));
+
+  // A workspace path -> absolute path, refusing anything that leaves the root
+  function locate(path = '.') {
+    const normalized = String(path).replace(/\\/g, '/').replace(/\/+$/, '');
+    if (!normalized || normalized === '.') return base;
+    const problem = pathProblem(normalized);
+    if (problem) throw toolError(`${path}: ${problem}`);
+    const target = resolve(base, normalized);
+    let real;
+    try {
+      real = realpathSync(target);
+    } catch {
+      throw toolError(`${path}: not found`);
+    }
+    if (real !== base && !real.startsWith(base + sep)) throw toolError(`${path}: resolves outside the workspace`);
+    return real;
+  }
+
+  const display = (full) => full === base ? '.' : full.slice(base.length + 1).split(sep).join('/');
+
+  const tools = {
+    async read_file({ path, startLine = 1, endLine }) {
+      const full = locate(path);
+      const info = await stat(full);
+      if (!info.isFile()) throw toolError(`${path}: not a file`);
+      if (info.size > MAX_FILE_BYTES) throw toolError(`${path}: larger than ${MAX_FILE_BYTES / 1024} KB`);
+      const buffer = await readFile(full);
+      if (buffer.subarray(0, 8192).includes(0)) throw toolError(`${path}: binary file`);
+
+      const lines = buffer.toString('utf8').replace(/\n$/, '').split('\n');
+      const first = Math.max(1, Number(startLine) || 1);
+      const last = Math.min(lines.length, Number(endLine) || lines.length, first + MAX_READ_LINES - 1);
+      const width = String(last).length;
+      const body = lines.slice(first - 1, last).map((line, i) => `${String(first + i).padStart(width)}| ${line}`);
+      return `${display(full)} (lines ${first}-${last} of ${lines.length})\n${body.join('\n')}`;
+    },
+
+    async list_dir({ path = '.' }) {
+      const full = locate(path);
+      if (!(await stat(full)).isDirectory()) throw toolError(`${path}: not a directory`);
+      const entries = (await readdir(full, { withFileTypes: true }))
+        .filter(entry => entry.name !== '.git')
+        .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name)
+        .sort();
+      const shown = entries.slice(0, MAX_ENTRIES);
+      if (entries.length > shown.length) shown.push(`... (${entries.length - shown.length} more)`);
+      return `${display(full)}/\n${shown.join('\n') || '(empty)'}`;
+    },
+
+    async grep({ pattern, path, ignoreCase = false }) {
+      let regex;
+      try {
+        regex = new RegExp(pattern, ignoreCase ? 'i' : '');
+      } catch (err) {
+        throw toolError(`invalid pattern: ${err.message}`);
+      }
+      const scope = path ? display(locate(path)) : '.';
+      const files = (await listSourceFiles(base))
+        .filter(file => scope === '.' || file === scope || file.startsWith(`${scope}/`));
+
+      const matches = [];
+      for (const file of files) {
+        let buffer;
+        try {
+          if ((await stat(resolve(base, file))).size > MAX_FILE_BYTES) continue;
+          buffer = await readFile(resolve(base, file));
+        } catch {
+          continue;
+        }
+        if (buffer.subarray(0, 8192).includes(0)) continue;
+        const lines = buffer.toString('utf8').split('\n');
+        for (const [i, line] of lines.entries()) {
+          if (!regex.test(line)) continue;
+          matches.push(`${file}:${i + 1}: ${line.trim().slice(0, 200)}`);
+          if (matches.length >= MAX_MATCHES) return `${matches.join('\n')}\n... (stopped at ${MAX_MATCHES} matches)`;
+        }
+      }
+      return matches.join('\n') || 'no matches';
+    },
+
+    async run_command({ command, args = [] }, { signal }) {
+      const tokens = [...command.trim().split(/\s+/), ...args];
+      const [program, ...rest] = tokens;
+      const { ok, output } = await runCommand(program, rest, { cwd: base, timeout: COMMAND_TIMEOUT_MS, signal });
+      return `${ok ? 'succeeded' : 'failed'}: ${tokens.join(' ')}\n${output || '(no output)'}`;
+    },
+
+    async write_file({ path, content }) {
+      const { files } = checkFiles([{ path, content }]);
+      const [result] = await writePlan(await planWrites(base, files), () => 'overwrite');
+      if (result.action === 'rejected') throw toolError(`${path}: ${result.reason}`);
+      return `${result.action}: ${result.path} (${files[0].content.length} characters)`;
+    },
+  };
+
+  // Why a call can't run at all, checked before the user is asked to approve it
+  const problems = {
+    run_command({ command, args = [] }) {
+      if (typeof command !== 'string' || !command.trim()) return 'command required';
+      if (!Array.isArray(args) || !args.every(a => typeof a === 'string')) return 'args must be an array of strings';
+      const tokens = [...command.trim().split(/\s+/), ...args];
+      if (!commandAllowed(commands, tokens)) return `not allowed: ${tokens.join(' ')} (allowed: ${commands.join(', ') || 'nothing'})`;
+      const outside = outsideArgument(tokens.slice(1));
+      return outside ? `not allowed: ${outside} points outside the workspace` : null;
+    },
+    write_file({ path, content }) {
+      const { rejected } = checkFiles([{ path, content }]);
+      return rejected.length ? `${path}: ${rejected[0].reason}` : null;
+    },
+  };
+
+  const definitions = TOOL_NAMES
+    .filter(name => approve[name] !== 'deny')
+    .map(name => ({ type: 'function', function: { name, ...DEFINITIONS[name] } }));
+
+  /**
+   * Run one tool call. `confirm(entry)` is asked for tools whose policy is
+   * ask and resolves true or false. Never throws for tool failures; returns
+   * the transcript entry { step, tool, args, approval, ok, output, ms }.
+   */
+  async function call(name, args, { step, confirm, signal }) {
+    const started = Date.now();
+    const entry = { step, tool: name, args };
+    const done = (fields) => ({ ...entry, ...fields, ms: Date.now() - started });
+
+    if (!TOOL_NAMES.includes(name)) return done({ approval: null, ok: false, output: `Unknown tool: ${name}` });
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+      return done({ approval: null, ok: false, output: 'arguments must be a JSON object' });
+    }
+
+    const problem = problems[name]?.(args);
+    if (problem) return done({ approval: null, ok: false, output: problem });
+
+    const policy = approve[name] || 'ask';
+    let approval = 'auto';
+    if (policy === 'deny') approval = 'denied';
+    else if (policy === 'ask') approval = (await confirm(entry)) ? 'approved' : 'denied';
+    if (approval === 'denied') {
+      return done({ approval, ok: false, output: `The user did not allow this ${name} call. Do not retry it; continue without it or explain what you need.` });
+    }
+
+    try {
+      return done({ approval, ok: true, output: clip(await tools[name](args, { signal })) });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return done({ approval, ok: false, output: clip(err.tool ? err.message : `Error: ${err.message}`) });
+    }
+  }
+
+  return { root: base, definitions, call };
+}
+
+// Ollama returns arguments as an object; some models send a JSON string
+function parseArguments(args) {
+  if (typeof args !== 'string') return args ?? {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The agent loop. `chat(messages, tools)` sends one turn to the model and
+ * resolves Ollama's `message` ({ content, tool_calls? }); `tools` is null
+ * for the final answer. `onEvent('tool', entry)` fires after each call.
+ * Returns { response, transcript, steps, stopped } where stopped is
+ * `answer` or `step-limit`.
+ */
+export async function runAgent({ messages, tools, maxSteps, chat, confirm, onEvent = () => {}, signal }) {
+  const transcript = [];
+  const turns = [...messages];
+
+  for (let step = 1; step <= maxSteps; step++) {
+    const reply = await chat(turns, tools.definitions);
+    const calls = reply.tool_calls || [];
+    if (!calls.length) return { response: reply.content || '', transcript, steps: step - 1, stopped: 'answer' };
+
+    turns.push({ role: 'assistant', content: reply.content || '', tool_calls: calls });
+    for (const toolCall of calls) {
+      const name = toolCall.function?.name;
+      const entry = await tools.call(name, parseArguments(toolCall.function?.arguments), { step, confirm, signal });
+      transcript.push(entry);
+      onEvent('tool', entry);
+      turns.push({ role: 'tool', tool_name: name, content: entry.output });
+    }
+  }
+
+  // Out of steps: one more turn, without tools, for the answer
+  turns.push({
+    role: 'user',
+    content: `You have used all ${maxSteps} tool steps. Answer now: summarize what you found and changed, and what is left to do.`,
+  });
+  const final = await chat(turns, null);
+  return { response: final.content || '', transcript, steps: maxSteps, stopped: 'step-limit' };
+}
+
+// ── Approvals over SSE ─────────────────────────────────────────────
+
+/**
+ * Pending approval prompts for streamed agent runs. `ask(streamId, owner,
+ * signal)` returns { id, decision } — decision resolves true or false, and
+ * false when nobody answers within `timeout` or the stream is aborted.
+ * `answer(streamId, owner, id, approved)` returns false for an unknown id.
+ */
+export function createApprovals({ timeout = APPROVAL_TIMEOUT_MS } = {}) {
+  const pending = new Map();
+
+  function ask(streamId, owner, signal) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const decision = new Promise((resolveDecision) => {
+      const settle = (approved) => {
+        if (!pending.has(id)) return;
+        pending.delete(id);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolveDecision(approved);
+      };
+      const onAbort = () => settle(false);
+      const timer = setTimeout(() => settle(false), timeout);
+      pending.set(id, { streamId, owner, settle });
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+    return { id, decision };
+  }
+
+  function answer(streamId, owner, id, approved) {
+    const entry = pending.get(id);
+    if (!entry || entry.streamId !== streamId || entry.owner !== owner) return false;
+    entry.settle(approved === true);
+    return true;
+  }
+
+  return { ask, answer };
+}
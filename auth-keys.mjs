@@ -0,0 +1,78 @@
+/**
+ * Sovereign Auth — API keys for headless clients
+ *
+ * CI scripts and `sbk ask` can't sign SIWE messages, so a signed-in wallet
+ * mints named keys for them. A key looks like
+ *
+ *   sbk_<id>_<secret>
+ *
+ * where <id> is the lookup handle shown in listings and <secret> is only
+ * ever returned once, at mint time; the store keeps a SHA-256 of it.
+ * Keys act on behalf of the wallet that minted them, limited to their scopes.
+ */
+
+import crypto from 'node:crypto';
+
+export const API_SCOPES = ['chat', 'scaffold', 'models:read'];
+
+export const DEFAULT_KEY_TTL_DAYS = 30;
+export const MAX_KEY_TTL_DAYS = 365;
+export const MAX_KEYS_PER_WALLET = 20;
+
+const KEY_PATTERN = /^sbk_([a-f0-9]{16})_([A-Za-z0-9_-]{32})$/;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+export function isApiKeyLike(value) {
+  return typeof value === 'string' && value.startsWith('sbk_');
+}
+
+export function generateApiKey() {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { id, key: `sbk_${id}_${secret}`, secretHash: hashSecret(secret) };
+}
+
+// Split a presented key into { id, secret }, or null if malformed
+export function parseApiKey(key) {
+  const match = KEY_PATTERN.exec(key || '');
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+export function checkSecret(record, secret) {
+  const expected = Buffer.from(record.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Validate a mint request body; returns { error } or { name, scopes, ttlDays }
+export function validateKeyRequest({ name, scopes, expiresInDays = DEFAULT_KEY_TTL_DAYS } = {}) {
+  if (typeof name !== 'string' || !/^[\w .-]{1,64}$/.test(name)) {
+    return { error: 'name must be 1-64 letters, digits, spaces, dots, dashes or underscores' };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: `scopes required (any of: ${API_SCOPES.join(', ')})` };
+  }
+  const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+  if (unknown.length) {
+    return { error: `Unknown scope: ${unknown.join(', ')} (any of: ${API_SCOPES.join(', ')})` };
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_KEY_TTL_DAYS) {
+    return { error: `expiresInDays must be an integer from 1 to ${MAX_KEY_TTL_DAYS}` };
+  }
+  return { name, scopes: [...new Set(scopes)], ttlDays: expiresInDays };
+}
+
+// Public view of a key record — never includes the secret hash
+export function describeKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    createdAt: new Date(record.createdAt).toISOString(),
+    expiresAt: new Date(record.expiresAt).toISOString(),
+    lastUsedAt: record.lastUsedAt ? new Date(record.lastUsedAt).toISOString() : null,
+  };
+}
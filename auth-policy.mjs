@@ -0,0 +1,149 @@
+/**
+ * Sovereign Auth — access policy
+ *
+ * Turns a verified wallet into a set of named roles. A role is granted when
+ * the address is on its allowlist OR holds enough of any gating token.
+ *
+ *   {
+ *     "rpcUrl": "http://127.0.0.1:8545",
+ *     "cacheTtl": 60000,
+ *     "default": [],
+ *     "roles": {
+ *       "admin":   { "addresses": ["0xabc..."] },
+ *       "builder": { "tokens": [{ "type": "erc20", "token": "ARI", "minBalance": "1000000000000000000" }] },
+ *       "viewer":  { "any": true }
+ *     }
+ *   }
+ *
+ * `token` is a contract address or a symbol from identity/soul.json `tokens`.
+ * `minBalance` is in raw units (wei for 18-decimal ERC-20s, count for
+ * ERC-721), default "1". Wallets that earn no role and have no `default`
+ * roles are refused at /auth/verify.
+ *
+ * Balances are read with balanceOf() over JSON-RPC — point rpcUrl at a local
+ * anvil fork to test gates without touching a public node — and cached for
+ * cacheTtl ms per (token, wallet).
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createPublicClient, http, parseAbi } from 'viem';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const BALANCE_OF_ABI = parseAbi(['function balanceOf(address owner) view returns (uint256)']);
+const TOKEN_TYPES = ['erc20', 'erc721'];
+const DEFAULT_CACHE_TTL = 60_000;
+
+function loadSoulTokens() {
+  try {
+    const soul = JSON.parse(readFileSync(join(__dirname, 'identity', 'soul.json'), 'utf8'));
+    return soul.tokens || {};
+  } catch {
+    return {};
+  }
+}
+
+function resolveTokenAddress(token, soulTokens) {
+  if (/^0x[a-fA-F0-9]{40}$/.test(token)) return token.toLowerCase();
+  const address = soulTokens[token];
+  if (!address) throw new Error(`Unknown token symbol: ${token} (not in identity/soul.json tokens)`);
+  return address.toLowerCase();
+}
+
+// Validate and normalize a policy config; throws on anything malformed
+function normalizePolicy(config) {
+  const soulTokens = loadSoulTokens();
+  const roles = {};
+
+  for (const [name, rule] of Object.entries(config.roles || {})) {
+    const addresses = (rule.addresses || []).map((addr) => {
+      if (!/^0x[a-fA-F0-9]{40}$/.test(addr)) throw new Error(`Invalid address in role ${name}: ${addr}`);
+      return addr.toLowerCase();
+    });
+
+    const tokens = (rule.tokens || []).map((gate) => {
+      const type = gate.type || 'erc20';
+      if (!TOKEN_TYPES.includes(type)) throw new Error(`Invalid token type in role ${name}: ${type}`);
+      return {
+        type,
+        address: resolveTokenAddress(gate.token || gate.address, soulTokens),
+        minBalance: BigInt(gate.minBalance ?? 1),
+      };
+    });
+
+    roles[name] = { any: rule.any === true, addresses: new Set(addresses), tokens };
+  }
+
+  return {
+    roles,
+    default: config.default || [],
+    cacheTtl: config.cacheTtl ?? DEFAULT_CACHE_TTL,
+    rpcUrl: config.rpcUrl,
+  };
+}
+
+export function loadPolicy(source = process.env.SBK_AUTH_POLICY) {
+  if (!source) return null;
+  if (typeof source === 'object') return source;
+  return JSON.parse(readFileSync(source, 'utf8'));
+}
+
+export function createPolicy(config, { client } = {}) {
+  const policy = normalizePolicy(config);
+  const balances = new Map(); // `${token}:${wallet}` -> { value, expiresAt }
+
+  const needsChain = Object.values(policy.roles).some(r => r.tokens.length > 0);
+  const rpcUrl = policy.rpcUrl || process.env.SBK_AUTH_RPC_URL;
+  if (needsChain && !client) {
+    if (!rpcUrl) throw new Error('Token-gated roles need rpcUrl in the policy or SBK_AUTH_RPC_URL');
+    client = createPublicClient({ transport: http(rpcUrl) });
+  }
+
+  async function balanceOf(token, wallet) {
+    const key = `${token}:${wallet}`;
+    const cached = balances.get(key);
+    if (cached && Date.now() < cached.expiresAt) return cached.value;
+
+    let value;
+    try {
+      value = await client.readContract({
+        address: token,
+        abi: BALANCE_OF_ABI,
+        functionName: 'balanceOf',
+        args: [wallet],
+      });
+    } catch (err) {
+      // Serve the last known balance if we have one; otherwise fail closed.
+      // Errors aren't cached, so a flaky RPC can't lock anyone out for a full TTL.
+      console.error(`[auth] balanceOf(${token}) failed:`, err.shortMessage || err.message);
+      return cached ? cached.value : 0n;
+    }
+
+    balances.set(key, { value, expiresAt: Date.now() + policy.cacheTtl });
+    return value;
+  }
+
+  async function resolveRoles(address) {
+    const wallet = address.toLowerCase();
+    const granted = new Set(policy.default);
+
+    for (const [name, rule] of Object.entries(policy.roles)) {
+      if (rule.any || rule.addresses.has(wallet)) {
+        granted.add(name);
+        continue;
+      }
+      for (const gate of rule.tokens) {
+        if (await balanceOf(gate.address, wallet) >= gate.minBalance) {
+          granted.add(name);
+          break;
+        }
+      }
+    }
+
+    return [...granted];
+  }
+
+  return { resolveRoles, refreshInterval: policy.cacheTtl };
+}
@@ -0,0 +1,240 @@
+/**
+ * Sovereign Auth — session and nonce stores
+ *
+ * Every store implements the same async interface, so auth.mjs never
+ * cares where wallets' sessions live:
+ *
+ *   putNonce(nonce, data)      — remember an issued challenge
+ *   consumeNonce(nonce)        — atomically fetch AND delete; null if unknown
+ *   putSession(id, session)    — persist a session
+ *   getSession(id)             — session or null
+ *   deleteSession(id)          — drop a session
+ *   revoke(id, expiresAt)      — add a token jti / session hash to the revocation list
+ *   isRevoked(id)              — true while a revocation is live
+ *   listRevocations()          — [{ id, expiresAt }] for other services to poll
+ *   putApiKey(id, record)      — persist an API key record (secret stored hashed)
+ *   getApiKey(id)              — record or null
+ *   listApiKeys(address)       — every key owned by a wallet
+ *   deleteApiKey(id)           — revoke a key
+ *   sweep(now)                 — purge expired nonces, sessions, revocations and keys
+ *
+ * Built in:
+ *   memory — Maps, lost on restart (default for createAuth)
+ *   file   — append-only JSON-lines journal, replayed on startup
+ *
+ * Pick one with createAuth({ store: 'file' }), SBK_AUTH_STORE=file, or pass
+ * any object implementing the interface above (SQLite, Redis, ...).
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+export const SBK_HOME = process.env.SBK_HOME || join(homedir(), '.sbk');
+
+function sweepMaps(now, ...maps) {
+  for (const map of maps) {
+    for (const [key, value] of map) {
+      if (now > value.expiresAt) map.delete(key);
+    }
+  }
+}
+
+// ── Memory store ───────────────────────────────────────────────────
+
+export function createMemoryStore() {
+  const sessions = new Map();    // sessionId -> { address, chainId, issuedAt, expiresAt }
+  const nonces = new Map();      // nonce -> { address, fields, createdAt, expiresAt }
+  const revoked = new Map();     // jti or sid -> { expiresAt }
+  const apiKeys = new Map();     // keyId -> { address, name, scopes, roles, secretHash, createdAt, expiresAt }
+
+  return {
+    async putNonce(nonce, data) {
+      nonces.set(nonce, data);
+    },
+
+    // get + delete in one synchronous step — a replayed /auth/verify that
+    // arrives while the first is still awaiting can never see the nonce
+    async consumeNonce(nonce) {
+      const data = nonces.get(nonce);
+      if (!data) return null;
+      nonces.delete(nonce);
+      return data;
+    },
+
+    async putSession(id, session) {
+      sessions.set(id, session);
+    },
+
+    async getSession(id) {
+      return sessions.get(id) || null;
+    },
+
+    async deleteSession(id) {
+      sessions.delete(id);
+    },
+
+    async revoke(id, expiresAt) {
+      revoked.set(id, { expiresAt });
+    },
+
+    async isRevoked(id) {
+      const entry = revoked.get(id);
+      return Boolean(entry && Date.now() <= entry.expiresAt);
+    },
+
+    async listRevocations() {
+      return [...revoked].map(([id, { expiresAt }]) => ({ id, expiresAt }));
+    },
+
+    async putApiKey(id, record) {
+      apiKeys.set(id, record);
+    },
+
+    async getApiKey(id) {
+      return apiKeys.get(id) || null;
+    },
+
+    async listApiKeys(address) {
+      return [...apiKeys.values()].filter(key => key.address === address);
+    },
+
+    async deleteApiKey(id) {
+      apiKeys.delete(id);
+    },
+
+    async sweep(now = Date.now()) {
+      sweepMaps(now, nonces, sessions, revoked, apiKeys);
+    },
+  };
+}
+
+// ── File store (JSON-lines journal) ────────────────────────────────
+// Each mutation appends one line synchronously before the call resolves,
+// so a crash loses nothing that was acknowledged. The journal is compacted
+// to a snapshot on startup and on every sweep.
+
+export function createFileStore(path = join(SBK_HOME, 'auth.jsonl')) {
+  const sessions = new Map();
+  const nonces = new Map();
+  const revoked = new Map();
+  const apiKeys = new Map();
+
+  mkdirSync(dirname(path), { recursive: true });
+
+  // Replay the journal
+  if (existsSync(path)) {
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+      if (!line) continue;
+      let entry;
+      try { entry = JSON.parse(line); } catch { continue; } // torn final write
+      const { op, key, value } = entry;
+      if (op === 'nonce') nonces.set(key, value);
+      else if (op === '-nonce') nonces.delete(key);
+      else if (op === 'session') sessions.set(key, value);
+      else if (op === '-session') sessions.delete(key);
+      else if (op === 'revoke') revoked.set(key, value);
+      else if (op === 'key') apiKeys.set(key, value);
+      else if (op === '-key') apiKeys.delete(key);
+    }
+  }
+
+  function append(op, key, value) {
+    appendFileSync(path, JSON.stringify({ op, key, value }) + '\n', { mode: 0o600 });
+  }
+
+  function compact() {
+    const lines = [];
+    for (const [key, value] of nonces) lines.push(JSON.stringify({ op: 'nonce', key, value }));
+    for (const [key, value] of sessions) lines.push(JSON.stringify({ op: 'session', key, value }));
+    for (const [key, value] of revoked) lines.push(JSON.stringify({ op: 'revoke', key, value }));
+    for (const [key, value] of apiKeys) lines.push(JSON.stringify({ op: 'key', key, value }));
+    const tmp = `${path}.tmp`;
+    writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '', { mode: 0o600 });
+    renameSync(tmp, path);
+  }
+
+  sweepMaps(Date.now(), nonces, sessions, revoked, apiKeys);
+  compact();
+
+  return {
+    async putNonce(nonce, data) {
+      nonces.set(nonce, data);
+      append('nonce', nonce, data);
+    },
+
+    async consumeNonce(nonce) {
+      const data = nonces.get(nonce);
+      if (!data) return null;
+      nonces.delete(nonce);
+      append('-nonce', nonce);
+      return data;
+    },
+
+    async putSession(id, session) {
+      sessions.set(id, session);
+      append('session', id, session);
+    },
+
+    async getSession(id) {
+      return sessions.get(id) || null;
+    },
+
+    async deleteSession(id) {
+      if (!sessions.delete(id)) return;
+      append('-session', id);
+    },
+
+    async revoke(id, expiresAt) {
+      revoked.set(id, { expiresAt });
+      append('revoke', id, { expiresAt });
+    },
+
+    async isRevoked(id) {
+      const entry = revoked.get(id);
+      return Boolean(entry && Date.now() <= entry.expiresAt);
+    },
+
+    async listRevocations() {
+      return [...revoked].map(([id, { expiresAt }]) => ({ id, expiresAt }));
+    },
+
+    async putApiKey(id, record) {
+      apiKeys.set(id, record);
+      append('key', id, record);
+    },
+
+    async getApiKey(id) {
+      return apiKeys.get(id) || null;
+    },
+
+    async listApiKeys(address) {
+      return [...apiKeys.values()].filter(key => key.address === address);
+    },
+
+    async deleteApiKey(id) {
+      if (!apiKeys.delete(id)) return;
+      append('-key', id);
+    },
+
+    async sweep(now = Date.now()) {
+      sweepMaps(now, nonces, sessions, revoked, apiKeys);
+      compact();
+    },
+  };
+}
+
+// ── Store selection ────────────────────────────────────────────────
+
+export function resolveStore(store = process.env.SBK_AUTH_STORE || 'memory') {
+  if (store && typeof store === 'object') return store;
+
+  switch (store) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(process.env.SBK_AUTH_STORE_PATH || undefined);
+    default:
+      throw new Error(`Unknown auth store: ${store} (expected memory or file)`);
+  }
+}
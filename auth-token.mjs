@@ -0,0 +1,162 @@
+/**
+ * Sovereign Auth — signed session tokens
+ *
+ * Compact JWTs signed with node:crypto only, so any service can verify a
+ * wallet session without sharing memory with the server that minted it:
+ *
+ *   HS256 — shared secret (SBK_AUTH_TOKEN_SECRET)
+ *   EdDSA — Ed25519 key pair (SBK_AUTH_TOKEN_KEY = path to a PEM private key);
+ *           verifiers only need the public key, published at /auth/jwks
+ *
+ * Claims: iss, sub (wallet), chainId, roles, resources, sid, jti, iat, exp.
+ * `sid` is a hash of the session id, never the id itself. Revocations are
+ * keyed by jti (one token) or sid (every token of a session) and published
+ * at /auth/revocations for other services to poll.
+ *
+ * Verifying elsewhere:
+ *   import { verifyToken } from './auth-token.mjs';
+ *   const claims = verifyToken(token, { secret, isRevoked: (id) => revoked.has(id) });
+ */
+
+import crypto from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+const DEFAULT_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes; refresh via /auth/refresh
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function decodeJson(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+// Hash a session id into the `sid` claim
+export function sessionHash(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 32);
+}
+
+export function isTokenLike(value) {
+  return typeof value === 'string' && /^[\w-]+\.[\w-]+\.[\w-]+$/.test(value);
+}
+
+// ── Key handling ───────────────────────────────────────────────────
+
+// Accepts a PEM string, a JWK object (as served by /auth/jwks) or a KeyObject
+function toPublicKey(key) {
+  if (key instanceof crypto.KeyObject) {
+    return key.type === 'public' ? key : crypto.createPublicKey(key);
+  }
+  if (typeof key === 'object' && key.kty) return crypto.createPublicKey({ key, format: 'jwk' });
+  return crypto.createPublicKey(key);
+}
+
+function resolveKeys({ secret, privateKey, publicKey }) {
+  if (secret) {
+    if (Buffer.byteLength(secret) < 32) throw new Error('Token secret must be at least 32 bytes');
+    return { alg: 'HS256', secret: Buffer.from(secret) };
+  }
+  if (privateKey) {
+    const key = crypto.createPrivateKey(privateKey);
+    if (key.asymmetricKeyType !== 'ed25519') throw new Error('Token private key must be Ed25519');
+    return { alg: 'EdDSA', privateKey: key, publicKey: crypto.createPublicKey(key) };
+  }
+  if (publicKey) {
+    return { alg: 'EdDSA', publicKey: toPublicKey(publicKey) };
+  }
+  return null;
+}
+
+// ── Sign / verify ──────────────────────────────────────────────────
+
+function signingInput(header, claims) {
+  return `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+}
+
+function signature(keys, input) {
+  if (keys.alg === 'HS256') {
+    return crypto.createHmac('sha256', keys.secret).update(input).digest('base64url');
+  }
+  return crypto.sign(null, Buffer.from(input), keys.privateKey).toString('base64url');
+}
+
+function checkSignature(keys, input, sig) {
+  if (keys.alg === 'HS256') {
+    const expected = Buffer.from(signature(keys, input));
+    const actual = Buffer.from(sig);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+  return crypto.verify(null, Buffer.from(input), keys.publicKey, Buffer.from(sig, 'base64url'));
+}
+
+// Verify a token; returns its claims or null. Pass { secret } or { publicKey }.
+export function verifyToken(token, { secret, publicKey, issuer, isRevoked, now = Date.now() } = {}) {
+  const keys = resolveKeys({ secret, publicKey });
+  if (!keys || !isTokenLike(token)) return null;
+
+  const [headerPart, claimsPart, sig] = token.split('.');
+  let header, claims;
+  try {
+    header = decodeJson(headerPart);
+    claims = decodeJson(claimsPart);
+  } catch {
+    return null;
+  }
+
+  // Never let the token pick its own algorithm
+  if (header.alg !== keys.alg) return null;
+  if (!checkSignature(keys, `${headerPart}.${claimsPart}`, sig)) return null;
+  if (typeof claims.exp !== 'number' || now >= claims.exp * 1000) return null;
+  if (issuer && claims.iss !== issuer) return null;
+  if (isRevoked && (isRevoked(claims.jti) || isRevoked(claims.sid))) return null;
+
+  return claims;
+}
+
+// ── Signer (used by auth.mjs) ──────────────────────────────────────
+
+export function loadTokenConfig(options = {}) {
+  if (options.secret || options.privateKey) return options;
+  if (process.env.SBK_AUTH_TOKEN_SECRET) return { ...options, secret: process.env.SBK_AUTH_TOKEN_SECRET };
+  if (process.env.SBK_AUTH_TOKEN_KEY) {
+    return { ...options, privateKey: readFileSync(process.env.SBK_AUTH_TOKEN_KEY, 'utf8') };
+  }
+  return null;
+}
+
+export function createTokenSigner({ secret, privateKey, issuer, ttl = DEFAULT_TOKEN_TTL }) {
+  const keys = resolveKeys({ secret, privateKey });
+  const kid = keys.alg === 'EdDSA'
+    ? crypto.createHash('sha256').update(keys.publicKey.export({ type: 'spki', format: 'der' })).digest('base64url').slice(0, 16)
+    : undefined;
+
+  function sign({ address, chainId, roles, resources, sessionId }) {
+    const now = Date.now();
+    const claims = {
+      iss: issuer,
+      sub: address,
+      chainId,
+      roles,
+      resources,
+      sid: sessionHash(sessionId),
+      jti: crypto.randomBytes(16).toString('hex'),
+      iat: Math.floor(now / 1000),
+      exp: Math.floor((now + ttl) / 1000),
+    };
+    const input = signingInput({ alg: keys.alg, typ: 'JWT', kid }, claims);
+    return { token: `${input}.${signature(keys, input)}`, claims };
+  }
+
+  function verify(token, opts = {}) {
+    const verifyKeys = keys.alg === 'HS256' ? { secret } : { publicKey: keys.publicKey };
+    return verifyToken(token, { ...verifyKeys, issuer, ...opts });
+  }
+
+  // Public half for other services; HMAC secrets are never published
+  function jwks() {
+    if (keys.alg !== 'EdDSA') return { keys: [] };
+    return { keys: [{ ...keys.publicKey.export({ format: 'jwk' }), alg: 'EdDSA', use: 'sig', kid }] };
+  }
+
+  return { sign, verify, jwks, alg: keys.alg };
+}
@@ -1,24 +1,64 @@
 /**
  * Sovereign Auth — SIWE (Sign In With Ethereum) starter module
  *
- * Drop this into any Express app. Users authenticate with their wallet.
- * No passwords. No OAuth. No platform SSO. No compliance layer.
+ * Users authenticate with their wallet. No passwords. No OAuth.
+ * No platform SSO. No compliance layer.
  *
- * Usage:
+ * The core is framework-agnostic: createAuth() returns plain handlers that
+ * take { method, path, headers, body } and return { status, body }.
+ * attachAuth() adapts that core to any Express app.
+ *
+ * Usage (Express):
  *   import { attachAuth } from './auth.mjs';
  *   attachAuth(app); // adds /auth/nonce, /auth/verify, /auth/session, /auth/logout
+ *   attachAuth(app, { store: 'file' }); // sessions survive restarts
+ *
+ * Usage (node:http):
+ *   import { createAuth } from './auth.mjs';
+ *   const auth = createAuth({ domain: 'localhost:3776' });
+ *   const result = await auth.handle({ method, path, headers, body });
+ *   if (result) { res.writeHead(result.status); res.end(JSON.stringify(result.body)); }
+ *
+ * Sessions and nonces live in a pluggable store — see auth-store.mjs.
+ *
+ * Smart-contract wallets (Safe, Coinbase Smart Wallet, ...) sign with
+ * EIP-1271, or EIP-6492 before they're deployed. Verifying those needs
+ * chain access: pass { rpcUrl } (or a viem { client }), or set
+ * SBK_AUTH_RPC_URL. A local anvil/hardhat fork works fine.
+ *
+ * Every session carries roles (admin, builder, viewer, ...). Without a
+ * policy each wallet is a builder; pass { policy } or set SBK_AUTH_POLICY
+ * to a JSON file for allowlists and token gates — see auth-policy.mjs.
+ *
+ * Messages are built by the siwe library and the full issued message is
+ * kept with its nonce; /auth/verify rejects a signed message if any field
+ * differs from what was issued. Clients may ask for `resources` (ReCap-style
+ * capability URIs) at /auth/nonce; the resulting session is scoped to them.
+ *
+ * With a token key configured ({ tokens: { secret } }, SBK_AUTH_TOKEN_SECRET
+ * or SBK_AUTH_TOKEN_KEY), /auth/verify also mints a signed token other
+ * services can check on their own — see auth-token.mjs. Tokens are accepted
+ * as `Authorization: Bearer`, renewed at /auth/refresh and revoked by logout.
+ *
+ * Headless clients use scoped API keys (`Authorization: Bearer sbk_...`)
+ * minted by a signed-in wallet at /auth/keys — see auth-keys.mjs.
  */
 
 import crypto from 'node:crypto';
+import { getAddress } from 'ethers';
 import { SiweMessage } from 'siwe';
-
-// ── Session store (in-memory, swap for SQLite/Redis in production) ──
-
-const sessions = new Map();    // sessionId -> { address, chainId, issuedAt, expiresAt }
-const nonces = new Map();      // nonce -> { address, createdAt }
+import { createPublicClient, http } from 'viem';
+import { resolveStore } from './auth-store.mjs';
+import { createPolicy, loadPolicy } from './auth-policy.mjs';
+import { createTokenSigner, isTokenLike, loadTokenConfig, sessionHash } from './auth-token.mjs';
+import {
+  MAX_KEYS_PER_WALLET, checkSecret, describeKey, generateApiKey, isApiKeyLike, parseApiKey, validateKeyRequest,
+} from './auth-keys.mjs';
 
 const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 const NONCE_EXPIRY = 5 * 60 * 1000;           // 5 minutes
+const DEFAULT_ROLES = ['builder'];            // every wallet, when no policy is set
+const KEY_TOUCH_INTERVAL = 60 * 60 * 1000;    // how often lastUsedAt is persisted
 
 // ── Nonce management ───────────────────────────────────────────────
 
@@ -26,46 +66,125 @@ function generateNonce() {
   return crypto.randomBytes(16).toString('hex');
 }
 
-function cleanExpiredNonces() {
-  const now = Date.now();
-  for (const [nonce, data] of nonces) {
-    if (now - data.createdAt > NONCE_EXPIRY) {
-      nonces.delete(nonce);
-    }
+// ── SIWE message construction ──────────────────────────────────────
+
+// Every EIP-4361 field; all of them must match between issue and verify
+const MESSAGE_FIELDS = [
+  'domain', 'address', 'statement', 'uri', 'version', 'chainId', 'nonce',
+  'issuedAt', 'expirationTime', 'notBefore', 'requestId', 'resources',
+];
+
+const MAX_RESOURCES = 16;
+
+function pickFields(siweMsg) {
+  const fields = {};
+  for (const key of MESSAGE_FIELDS) {
+    if (siweMsg[key] !== undefined && siweMsg[key] !== null) fields[key] = siweMsg[key];
   }
+  return fields;
 }
 
-function cleanExpiredSessions() {
-  const now = Date.now();
-  for (const [id, session] of sessions) {
-    if (now > session.expiresAt) sessions.delete(id);
+// Name of the first field that differs, or null when the messages agree
+function diffFields(issued, signed) {
+  for (const key of MESSAGE_FIELDS) {
+    if (JSON.stringify(issued[key]) !== JSON.stringify(signed[key])) return key;
   }
+  return null;
 }
 
-// ── SIWE message construction ──────────────────────────────────────
+// Resources must be absolute URIs, and on the allowlist when one is configured
+function validateResources(resources, allowed) {
+  if (resources === undefined) return null;
+  if (!Array.isArray(resources) || resources.length > MAX_RESOURCES) {
+    return `resources must be an array of at most ${MAX_RESOURCES} URIs`;
+  }
+  for (const resource of resources) {
+    if (typeof resource !== 'string' || /\s/.test(resource) || !URL.canParse(resource)) {
+      return `Invalid resource URI: ${resource}`;
+    }
+    if (allowed && !allowed.includes(resource)) {
+      return `Resource not offered by this server: ${resource}`;
+    }
+  }
+  return null;
+}
+
+function buildSIWEMessage(fields) {
+  const message = new SiweMessage(fields);
+  // prepareMessage() formats but doesn't validate; fail here, not at verify
+  message.validateMessage();
+  return message.prepareMessage();
+}
 
-function constructSIWEMessage({ domain, address, statement, uri, version, chainId, nonce, issuedAt }) {
-  return `${domain} wants you to sign in with your Ethereum account:
-${address}
+// ── Signature verification via siwe package ────────────────────────
 
-${statement || 'Sign in to Sovereign Builder Kit'}
+function createRpcClient(options) {
+  if (options.client) return options.client;
+  const rpcUrl = options.rpcUrl || process.env.SBK_AUTH_RPC_URL;
+  if (!rpcUrl) return null;
+  return createPublicClient({ transport: http(rpcUrl) });
+}
 
-URI: ${uri}
-Version: ${version || '1'}
-Chain ID: ${chainId || '1'}
-Nonce: ${nonce}
-Issued At: ${issuedAt}`;
+// siwe only recovers EOA signatures itself. When ecrecover doesn't match,
+// it calls this fallback; viem's verifyMessage runs isValidSignature for
+// deployed wallets and the EIP-6492 universal validator for counterfactual ones.
+async function verifyContractWallet(client, siweMsg, signature) {
+  try {
+    const valid = await client.verifyMessage({
+      address: siweMsg.address,
+      message: siweMsg.prepareMessage(),
+      signature,
+    });
+    if (valid) return { success: true, data: siweMsg };
+    return { success: false, data: siweMsg, error: new Error('Contract wallet rejected signature') };
+  } catch (err) {
+    return { success: false, data: siweMsg, error: err };
+  }
 }
 
-// ── Signature verification via siwe package ────────────────────────
+// EIP-6492 wraps signatures of not-yet-deployed wallets and ends with this
+const ERC6492_MAGIC = '6492'.repeat(16);
+
+// 0x-prefixed lowercase hex, so "0X..." and unprefixed signatures compare alike
+function normalizeSignature(signature) {
+  return typeof signature === 'string' ? `0x${signature.replace(/^0x/i, '').toLowerCase()}` : signature;
+}
+
+// EOA signatures are 65 bytes, or 64 in EIP-2098 compact form, and go
+// through siwe (which still falls back to EIP-1271). EIP-6492 wrappers and
+// longer ones (multi-owner Safe signatures) can only be a contract wallet,
+// and siwe's ecrecover would just throw on them, so check those directly.
+function isContractSignature(signature) {
+  if (typeof signature !== 'string') return false;
+  return signature.endsWith(ERC6492_MAGIC) || signature.length > 132;
+}
+
+function checkTimeBounds(siweMsg, now = Date.now()) {
+  if (siweMsg.expirationTime && now >= Date.parse(siweMsg.expirationTime)) return 'expired_message';
+  if (siweMsg.notBefore && now < Date.parse(siweMsg.notBefore)) return 'not_yet_valid_message';
+  return null;
+}
 
-async function verifySIWEMessage(message, signature) {
+async function verifySIWEMessage(message, signature, client) {
   try {
     const siweMsg = new SiweMessage(message);
-    const result = await siweMsg.verify({ signature });
+    signature = normalizeSignature(signature);
+
+    let result;
+    if (client && isContractSignature(signature)) {
+      const timeError = checkTimeBounds(siweMsg);
+      result = timeError
+        ? { success: false, error: { type: timeError } }
+        : await verifyContractWallet(client, siweMsg, signature);
+    } else {
+      const opts = client
+        ? { verificationFallback: (params, _opts, msg) => verifyContractWallet(client, msg, params.signature) }
+        : {};
+      result = await siweMsg.verify({ signature }, opts);
+    }
 
     if (!result.success) {
-      console.error('[auth] SIWE verification failed:', result.error?.type);
+      console.error('[auth] SIWE verification failed:', result.error?.type || result.error?.message);
       return null;
     }
 
@@ -73,147 +192,518 @@ async function verifySIWEMessage(message, signature) {
       address: siweMsg.address.toLowerCase(),
       nonce: siweMsg.nonce,
       chainId: siweMsg.chainId,
+      fields: pickFields(siweMsg),
     };
   } catch (err) {
-    console.error('[auth] SIWE verification error:', err.message);
+    console.error('[auth] SIWE verification error:', err.error?.type || err.error?.message || err.message);
     return null;
   }
 }
 
-// ── Express middleware attachment ───────────────────────────────────
+// ── Framework-agnostic auth core ───────────────────────────────────
 
-export function attachAuth(app, options = {}) {
+export function createAuth(options = {}) {
   const domain = options.domain || 'localhost';
   const statement = options.statement || 'Sign in to Sovereign Builder Kit';
+  const uri = options.uri || `http://${domain}`;
+  const chainId = options.chainId || 8453; // Base by default
+  const allowedResources = options.resources || null;
 
-  // Cleanup expired nonces and sessions
-  setInterval(cleanExpiredNonces, 60_000);
-  setInterval(cleanExpiredSessions, 5 * 60_000);
+  // JSON-RPC access for EIP-1271 / EIP-6492; null means EOAs only
+  const client = createRpcClient(options);
 
-  // ── GET /auth/nonce ──
-  app.post('/auth/nonce', (req, res) => {
-    const { address } = req.body || {};
+  // Allowlists and token gates; a policy with its own rpcUrl gets its own client
+  const policyConfig = loadPolicy(options.policy);
+  const policy = policyConfig
+    ? createPolicy(policyConfig, { client: policyConfig.rpcUrl ? undefined : client })
+    : null;
+
+  async function resolveRoles(address) {
+    return policy ? policy.resolveRoles(address) : DEFAULT_ROLES;
+  }
+
+  // memory | file | custom store object; SBK_AUTH_STORE picks when unset
+  const store = resolveStore(options.store);
+
+  // Signed stateless tokens are opt-in; null means opaque session ids only
+  const tokenConfig = loadTokenConfig(options.tokens);
+  const signer = tokenConfig ? createTokenSigner({ issuer: domain, ...tokenConfig }) : null;
+
+  function mintToken(sessionId, session) {
+    if (!signer) return {};
+    const { token, claims } = signer.sign({ ...session, sessionId });
+    return { token, tokenExpiresAt: new Date(claims.exp * 1000).toISOString() };
+  }
+
+  function bearer(headers) {
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+    return match ? match[1] : null;
+  }
+
+  // Verified, unrevoked claims from the Authorization header, or null
+  async function tokenClaims(headers) {
+    const token = bearer(headers);
+    if (!signer || !isTokenLike(token)) return null;
+    const claims = signer.verify(token);
+    if (!claims) return null;
+    if (await store.isRevoked(claims.jti) || await store.isRevoked(claims.sid)) return null;
+    return claims;
+  }
+
+  // Session-shaped view of a valid API key, or null
+  async function apiKeySession(key) {
+    const parsed = parseApiKey(key);
+    if (!parsed) return null;
+
+    const record = await store.getApiKey(parsed.id);
+    if (!record || Date.now() > record.expiresAt || !checkSecret(record, parsed.secret)) return null;
+
+    // Token gates and allowlists are re-checked as for sessions; a key keeps
+    // at most the roles it was minted with, and none once the wallet has none
+    let dirty = Date.now() - (record.lastUsedAt || 0) > KEY_TOUCH_INTERVAL;
+    if (policy && Date.now() - (record.rolesCheckedAt || 0) > policy.refreshInterval) {
+      const current = await resolveRoles(record.address);
+      record.activeRoles = record.roles.filter(role => current.includes(role));
+      record.rolesCheckedAt = Date.now();
+      dirty = true;
+    }
+    if (dirty) {
+      record.lastUsedAt = Date.now();
+      await store.putApiKey(record.id, record);
+    }
+    const roles = policy ? record.activeRoles : record.roles;
+    if (!roles.length) return null;
+
+    return {
+      address: record.address,
+      chainId: record.chainId,
+      roles,
+      resources: [],
+      scopes: record.scopes,
+      expiresAt: record.expiresAt,
+      apiKey: record.id,
+    };
+  }
+
+  // Cleanup expired nonces and sessions without holding the process open
+  setInterval(() => store.sweep(Date.now()), 60_000).unref();
+
+  // ── POST /auth/nonce ──
+  async function issueNonce({ body }) {
+    const { address, requestId, resources } = body || {};
 
     if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      return res.status(400).json({ error: 'Valid Ethereum address required' });
+      return { status: 400, body: { error: 'Valid Ethereum address required' } };
     }
 
-    const nonce = generateNonce();
-    const issuedAt = new Date().toISOString();
+    if (requestId !== undefined && (typeof requestId !== 'string' || !/^[\x21-\x7e]{1,128}$/.test(requestId))) {
+      return { status: 400, body: { error: 'requestId must be 1-128 printable characters' } };
+    }
 
-    nonces.set(nonce, { address: address.toLowerCase(), createdAt: Date.now() });
+    const resourceError = validateResources(resources, allowedResources);
+    if (resourceError) {
+      return { status: 400, body: { error: resourceError } };
+    }
 
-    const message = constructSIWEMessage({
+    const nonce = generateNonce();
+    const now = Date.now();
+
+    // EIP-4361 requires the checksummed form; wallets often hand out lowercase
+    const fields = pickFields({
       domain,
-      address,
+      address: getAddress(address.toLowerCase()),
       statement,
-      uri: `http://${domain}`,
+      uri,
       version: '1',
-      chainId: options.chainId || 8453, // Base by default
+      chainId,
       nonce,
-      issuedAt,
+      issuedAt: new Date(now).toISOString(),
+      expirationTime: new Date(now + NONCE_EXPIRY).toISOString(),
+      requestId,
+      resources: resources?.length ? resources : undefined,
     });
 
-    res.json({ message, nonce });
-  });
+    let message;
+    try {
+      message = buildSIWEMessage(fields);
+    } catch (err) {
+      return { status: 400, body: { error: `Cannot build SIWE message: ${err.message}` } };
+    }
+
+    await store.putNonce(nonce, {
+      address: address.toLowerCase(),
+      fields,
+      createdAt: now,
+      expiresAt: now + NONCE_EXPIRY,
+    });
+
+    return { status: 200, body: { message, nonce, expiresAt: fields.expirationTime } };
+  }
 
   // ── POST /auth/verify ──
-  app.post('/auth/verify', async (req, res) => {
-    const { message, signature } = req.body || {};
+  async function verify({ body }) {
+    const { message, signature } = body || {};
 
     if (!message || !signature) {
-      return res.status(400).json({ error: 'message and signature required' });
+      return { status: 400, body: { error: 'message and signature required' } };
     }
 
     // Verify using siwe package — handles signature recovery, address extraction,
     // and message format validation per EIP-4361 spec
-    const verified = await verifySIWEMessage(message, signature);
+    const verified = await verifySIWEMessage(message, signature, client);
     if (!verified) {
-      return res.status(401).json({ error: 'Invalid signature or message' });
+      return { status: 401, body: { error: 'Invalid signature or message' } };
     }
 
     const { address, nonce } = verified;
 
-    // Check nonce exists and hasn't expired
-    const nonceData = nonces.get(nonce);
+    // Consume nonce (one-time use) before anything else — the store's
+    // consumeNonce is atomic, so of two racing replays only one gets it
+    const nonceData = await store.consumeNonce(nonce);
     if (!nonceData) {
-      return res.status(401).json({ error: 'Invalid or expired nonce' });
+      return { status: 401, body: { error: 'Invalid or expired nonce' } };
     }
 
-    if (Date.now() - nonceData.createdAt > NONCE_EXPIRY) {
-      nonces.delete(nonce);
-      return res.status(401).json({ error: 'Nonce expired' });
+    if (Date.now() > nonceData.expiresAt) {
+      return { status: 401, body: { error: 'Nonce expired' } };
     }
 
     if (nonceData.address !== address) {
-      return res.status(401).json({ error: 'Address mismatch' });
+      return { status: 401, body: { error: 'Address mismatch' } };
     }
 
-    // Consume nonce (one-time use)
-    nonces.delete(nonce);
+    // The signed message must be exactly what we issued for this nonce
+    const mismatch = diffFields(nonceData.fields || {}, verified.fields);
+    if (mismatch) {
+      return { status: 401, body: { error: `Message field mismatch: ${mismatch}` } };
+    }
+
+    const roles = await resolveRoles(address);
+    if (roles.length === 0) {
+      return { status: 403, body: { error: 'Wallet not permitted' } };
+    }
 
     // Create session
     const sessionId = crypto.randomBytes(32).toString('hex');
     const now = Date.now();
-    sessions.set(sessionId, {
+    const session = {
       address,
-      chainId: verified.chainId || options.chainId || 8453,
+      chainId: verified.chainId || chainId,
+      roles,
+      rolesCheckedAt: now,
+      resources: verified.fields.resources || [],
       issuedAt: now,
       expiresAt: now + SESSION_DURATION,
-    });
-
-    res.json({
-      sessionId,
-      address,
-      expiresAt: new Date(now + SESSION_DURATION).toISOString(),
-    });
-  });
+    };
+    await store.putSession(sessionId, session);
 
-  // ── GET /auth/session ──
-  app.get('/auth/session', (req, res) => {
-    const sessionId = req.headers['x-session-id'];
+    return {
+      status: 200,
+      body: {
+        sessionId,
+        address,
+        roles,
+        resources: session.resources,
+        expiresAt: new Date(session.expiresAt).toISOString(),
+        ...mintToken(sessionId, session),
+      },
+    };
+  }
 
+  // Resolve X-Session-Id (or a signed bearer token) to a live session, or null
+  async function authenticate(headers = {}) {
+    const sessionId = headers['x-session-id'];
     if (!sessionId) {
-      return res.status(401).json({ error: 'No session' });
+      const credential = bearer(headers);
+      if (isApiKeyLike(credential)) return apiKeySession(credential);
+
+      const claims = await tokenClaims(headers);
+      if (!claims) return null;
+      return {
+        address: claims.sub,
+        chainId: claims.chainId,
+        roles: claims.roles,
+        resources: claims.resources || [],
+        expiresAt: claims.exp * 1000,
+        token: claims,
+      };
     }
 
-    const session = sessions.get(sessionId);
+    const session = await store.getSession(sessionId);
     if (!session || Date.now() > session.expiresAt) {
-      sessions.delete(sessionId);
-      return res.status(401).json({ error: 'Session expired' });
+      await store.deleteSession(sessionId);
+      return null;
     }
 
-    res.json({
-      address: session.address,
-      chainId: session.chainId,
-      expiresAt: new Date(session.expiresAt).toISOString(),
-    });
-  });
+    // Token gates are re-checked periodically — selling the token drops the role
+    if (policy && Date.now() - (session.rolesCheckedAt || 0) > policy.refreshInterval) {
+      session.roles = await resolveRoles(session.address);
+      session.rolesCheckedAt = Date.now();
+      if (session.roles.length === 0) {
+        await store.deleteSession(sessionId);
+        return null;
+      }
+      await store.putSession(sessionId, session);
+    }
+
+    return session;
+  }
+
+  // ── GET /auth/session ──
+  async function getSession({ headers }) {
+    if (!headers['x-session-id'] && !headers.authorization) {
+      return { status: 401, body: { error: 'No session' } };
+    }
+
+    const session = await authenticate(headers);
+    if (!session) {
+      return { status: 401, body: { error: 'Session expired' } };
+    }
+
+    return {
+      status: 200,
+      body: {
+        address: session.address,
+        chainId: session.chainId,
+        roles: session.roles || DEFAULT_ROLES,
+        resources: session.resources || [],
+        expiresAt: new Date(session.expiresAt).toISOString(),
+      },
+    };
+  }
+
+  // ── POST /auth/refresh ──
+  // Mint a fresh token from a live session; roles are re-checked on the way
+  async function refresh({ headers }) {
+    if (!signer) {
+      return { status: 404, body: { error: 'Signed tokens are not enabled' } };
+    }
+
+    const sessionId = headers['x-session-id'];
+    const session = sessionId ? await authenticate({ 'x-session-id': sessionId }) : null;
+    if (!session) {
+      return { status: 401, body: { error: 'Session required' } };
+    }
+
+    // The token being replaced stops working now rather than at its expiry
+    const previous = await tokenClaims(headers);
+    if (previous?.sid === sessionHash(sessionId)) {
+      await store.revoke(previous.jti, previous.exp * 1000);
+    }
+
+    return { status: 200, body: mintToken(sessionId, session) };
+  }
 
   // ── POST /auth/logout ──
-  app.post('/auth/logout', (req, res) => {
-    const sessionId = req.headers['x-session-id'];
+  async function logout({ headers }) {
+    const sessionId = headers['x-session-id'];
     if (sessionId) {
-      sessions.delete(sessionId);
+      const session = await store.getSession(sessionId);
+      await store.deleteSession(sessionId);
+      // Every token minted for this session dies with it
+      if (signer && session) {
+        await store.revoke(sessionHash(sessionId), session.expiresAt);
+      }
+    }
+
+    const claims = await tokenClaims(headers);
+    if (claims) {
+      await store.revoke(claims.jti, claims.exp * 1000);
+    }
+
+    return { status: 200, body: { ok: true } };
+  }
+
+  // Keys are managed by the wallet itself — never by another API key
+  async function walletSession(headers) {
+    const session = await authenticate(headers);
+    return session && !session.apiKey ? session : null;
+  }
+
+  // ── POST /auth/keys ──
+  async function createKey({ headers, body }) {
+    const session = await walletSession(headers);
+    if (!session) {
+      return { status: 401, body: { error: 'Wallet session required' } };
+    }
+
+    const request = validateKeyRequest(body);
+    if (request.error) {
+      return { status: 400, body: { error: request.error } };
+    }
+
+    const existing = await store.listApiKeys(session.address);
+    if (existing.length >= MAX_KEYS_PER_WALLET) {
+      return { status: 409, body: { error: `Key limit reached (${MAX_KEYS_PER_WALLET}); revoke one first` } };
+    }
+
+    const { id, key, secretHash } = generateApiKey();
+    const now = Date.now();
+    const record = {
+      id,
+      address: session.address,
+      chainId: session.chainId,
+      roles: session.roles || DEFAULT_ROLES,
+      name: request.name,
+      scopes: request.scopes,
+      secretHash,
+      createdAt: now,
+      expiresAt: now + request.ttlDays * 24 * 60 * 60 * 1000,
+    };
+    await store.putApiKey(id, record);
+
+    // The only time the full key is ever shown
+    return { status: 201, body: { key, ...describeKey(record) } };
+  }
+
+  // ── GET /auth/keys ──
+  async function listKeys({ headers }) {
+    const session = await walletSession(headers);
+    if (!session) {
+      return { status: 401, body: { error: 'Wallet session required' } };
     }
-    res.json({ ok: true });
-  });
+
+    const keys = await store.listApiKeys(session.address);
+    return { status: 200, body: { keys: keys.map(describeKey) } };
+  }
+
+  // ── DELETE /auth/keys/:id ──
+  async function revokeKey({ headers, params }) {
+    const session = await walletSession(headers);
+    if (!session) {
+      return { status: 401, body: { error: 'Wallet session required' } };
+    }
+
+    const record = await store.getApiKey(params.id);
+    if (!record || record.address !== session.address) {
+      return { status: 404, body: { error: 'Key not found' } };
+    }
+
+    await store.deleteApiKey(params.id);
+    return { status: 200, body: { ok: true } };
+  }
+
+  // ── GET /auth/revocations ──
+  // Polled by other services that verify tokens offline
+  async function revocations() {
+    const now = Date.now();
+    const revoked = (await store.listRevocations())
+      .filter(entry => entry.expiresAt >= now)
+      .map(({ id, expiresAt }) => ({ id, expiresAt: new Date(expiresAt).toISOString() }));
+    return { status: 200, body: { revoked } };
+  }
+
+  // ── GET /auth/jwks ──
+  async function jwks() {
+    return { status: 200, body: signer ? signer.jwks() : { keys: [] } };
+  }
+
+  const routes = {
+    'POST /auth/nonce': issueNonce,
+    'POST /auth/verify': verify,
+    'GET /auth/session': getSession,
+    'POST /auth/refresh': refresh,
+    'POST /auth/logout': logout,
+    'GET /auth/revocations': revocations,
+    'GET /auth/jwks': jwks,
+    'POST /auth/keys': createKey,
+    'GET /auth/keys': listKeys,
+  };
+
+  // Dispatch an auth request; returns null when the route isn't ours
+  async function handle({ method, path, headers = {}, body = {} }) {
+    const keyMatch = /^\/auth\/keys\/([a-f0-9]{16})$/.exec(path);
+    if (method === 'DELETE' && keyMatch) {
+      return revokeKey({ headers, params: { id: keyMatch[1] } });
+    }
+
+    const route = routes[`${method} ${path}`];
+    if (!route) return null;
+    return route({ headers, body });
+  }
+
+  return {
+    handle, authenticate, issueNonce, verify, getSession, refresh, logout, revocations, jwks,
+    createKey, listKeys, revokeKey,
+  };
+}
+
+// True when the session holds at least one of the allowed roles
+export function hasRole(session, allowed) {
+  const roles = session?.roles || DEFAULT_ROLES;
+  return allowed.some(role => roles.includes(role));
+}
+
+// True when the session may use an API scope. Wallet sessions carry no
+// scopes and may do anything their roles allow; API keys only their scopes.
+export function hasScope(session, scope) {
+  return !session?.scopes || session.scopes.includes(scope);
+}
+
+// True when the session may use a capability. Sessions signed without
+// resources are unscoped; scoped ones only get what they listed.
+export function hasResource(session, resource) {
+  const resources = session?.resources || [];
+  return resources.length === 0 || resources.includes(resource);
+}
+
+// ── Express middleware attachment ───────────────────────────────────
+
+export function attachAuth(app, options = {}) {
+  const auth = createAuth(options);
+
+  // Express 4 ignores returned promises, so failures are handed to next()
+  const adapt = (route) => (req, res, next) => {
+    route({ headers: req.headers, body: req.body, params: req.params })
+      .then(result => res.status(result.status).json(result.body))
+      .catch(next);
+  };
+
+  app.post('/auth/nonce', adapt(auth.issueNonce));
+  app.post('/auth/verify', adapt(auth.verify));
+  app.get('/auth/session', adapt(auth.getSession));
+  app.post('/auth/refresh', adapt(auth.refresh));
+  app.post('/auth/logout', adapt(auth.logout));
+  app.get('/auth/revocations', adapt(auth.revocations));
+  app.get('/auth/jwks', adapt(auth.jwks));
+  app.post('/auth/keys', adapt(auth.createKey));
+  app.get('/auth/keys', adapt(auth.listKeys));
+  app.delete('/auth/keys/:id', adapt(auth.revokeKey));
 
   // ── Middleware: requireAuth ──
   app.locals.requireAuth = (req, res, next) => {
-    const sessionId = req.headers['x-session-id'];
-    if (!sessionId) {
+    if (!req.headers['x-session-id'] && !req.headers.authorization) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const session = sessions.get(sessionId);
-    if (!session || Date.now() > session.expiresAt) {
-      sessions.delete(sessionId);
-      return res.status(401).json({ error: 'Session expired' });
+    auth.authenticate(req.headers).then((session) => {
+      if (!session) {
+        return res.status(401).json({ error: 'Session expired' });
+      }
+
+      req.walletAddress = session.address;
+      req.chainId = session.chainId;
+      req.roles = session.roles || DEFAULT_ROLES;
+      req.session = session;
+      next();
+    }, next);
+  };
+
+  // ── Middleware factory: requireScope('chat') ──
+  // Use after requireAuth; wallet sessions pass, API keys need the scope
+  app.locals.requireScope = (scope) => (req, res, next) => {
+    if (!hasScope(req.session, scope)) {
+      return res.status(403).json({ error: `API key lacks scope: ${scope}` });
     }
+    next();
+  };
 
-    req.walletAddress = session.address;
-    req.chainId = session.chainId;
+  // ── Middleware factory: requireRole('admin', 'builder') ──
+  // Use after requireAuth
+  app.locals.requireRole = (...allowed) => (req, res, next) => {
+    if (!hasRole(req.session, allowed)) {
+      return res.status(403).json({ error: `Requires role: ${allowed.join(' or ')}` });
+    }
     next();
   };
 
@@ -221,7 +711,11 @@ export function attachAuth(app, options = {}) {
   console.log('    POST /auth/nonce    — Get signing challenge');
   console.log('    POST /auth/verify   — Verify wallet signature');
   console.log('    GET  /auth/session  — Check session');
+  console.log('    POST /auth/refresh  — Renew signed token');
   console.log('    POST /auth/logout   — End session');
+  console.log('    POST /auth/keys     — Mint API key');
+
+  return auth;
 }
 
 // ── Standalone SIWE client helper (for frontends) ──────────────────
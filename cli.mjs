@@ -8,7 +8,12 @@
  * Commands:
  *   sbk start               — Start the local AI dev server
  *   sbk ask <question>       — Ask the local AI a coding question
- *   sbk scaffold <desc>      — Generate a complete project
+ *   sbk chat [question]      — Interactive, streaming chat (also reads piped stdin)
+ *   sbk index <dir>          — Index a codebase for `ask --index`
+ *   sbk review [paths]       — Review files, staged changes or the working tree
+ *   sbk scaffold <desc>      — Generate a complete project (--out <dir> writes it)
+ *   sbk new <template> <name> — Create a project from a template, no model needed
+ *   sbk contract <desc>      — Generate a Solidity contract (--verify: forge build + test it)
  *   sbk create-agent <name>  — Create an X agent that can earn a council seat
  *   sbk models               — List available local models
  *   sbk pull <model>         — Pull a new model from Ollama
@@ -18,19 +23,71 @@
  */
 
 import { execSync, spawn, spawnSync } from 'node:child_process';
-import { existsSync, mkdirSync, writeFileSync } from 'node:fs';
-import { dirname, join } from 'node:path';
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { createInterface } from 'node:readline';
+import { SBK_HOME } from './auth-store.mjs';
+import { createConfig } from './config.mjs';
+import { detectModeModels, getAvailableModels, pickBestModel } from './models.mjs';
+import { createPresets } from './presets.mjs';
+import { MAX_FILES, prepareAttachments } from './review.mjs';
+import { createIndexStore, indexNameFor, listSourceFiles } from './retrieval.mjs';
+import { CONFLICT_ACTIONS, planWrites, writePlan } from './project-files.mjs';
+import { FORGE_STD_DIR, FORGE_STD_TAG, hasForgeStd } from './verify.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const args = process.argv.slice(2);
 const command = args[0] || 'help';
 const rest = args.slice(1).join(' ');
 
+// Value after a --flag, or null
+function getFlag(flag) {
+  const idx = args.indexOf(flag);
+  return idx !== -1 && args[idx + 1] ? args[idx + 1] : null;
+}
+
+// Arguments after the command, minus flags and the values of `valueFlags`
+function positionals(valueFlags = []) {
+  const out = [];
+  for (let i = 1; i < args.length; i++) {
+    if (valueFlags.includes(args[i])) i++;
+    else if (!args[i].startsWith('--')) out.push(args[i]);
+  }
+  return out;
+}
+
 const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
 const SBK_URL = process.env.SBK_URL || 'http://localhost:3776';
 
+// API key for servers running with SBK_REQUIRE_AUTH: env first, then ~/.sbk/api.token
+function apiKey() {
+  if (process.env.SBK_API_KEY) return process.env.SBK_API_KEY.trim();
+  try {
+    return readFileSync(join(SBK_HOME, 'api.token'), 'utf8').trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function sbkHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  const key = apiKey();
+  if (key) headers.Authorization = `Bearer ${key}`;
+  return headers;
+}
+
+// Explain a rejected SBK request; returns true if the response was an auth error
+function reportAuthError(res, data) {
+  if (res.status !== 401 && res.status !== 403) return false;
+  console.log(c.red(`  SBK server refused the request: ${data.error}`));
+  if (res.status === 401) {
+    console.log(c.dim(`  Mint a key from a signed-in wallet (POST /auth/keys), then set SBK_API_KEY`));
+    console.log(c.dim(`  or save it to ${join(SBK_HOME, 'api.token')}`));
+  }
+  return true;
+}
+
 // ── Colors (no dependencies) ──────────────────────────────────────
 
 const c = {
@@ -54,8 +111,10 @@ async function start() {
 }
 
 async function ask() {
-  if (!rest) {
-    console.log(c.red('  Usage: sbk ask <your question>'));
+  const question = positionals(['--index', '--top']).join(' ');
+  const index = getFlag('--index');
+  if (!question) {
+    console.log(c.red('  Usage: sbk ask <your question> [--index <name>] [--top <k>]'));
     process.exit(1);
   }
 
@@ -63,64 +122,843 @@ async function ask() {
   try {
     const res = await fetch(`${SBK_URL}/chat`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ message: rest, mode: 'code' }),
+      headers: sbkHeaders(),
+      body: JSON.stringify({
+        message: question,
+        mode: 'code',
+        ...(index && { context: { index, topK: Number(getFlag('--top')) || undefined } }),
+      }),
     });
     const data = await res.json();
+    if (reportAuthError(res, data)) process.exit(1);
+    if (!res.ok) {
+      console.log(c.red(`  ${data.error}`));
+      process.exit(1);
+    }
     console.log('\n' + data.response + '\n');
+    for (const s of data.sources || []) {
+      console.log(c.dim(`  ${s.file}:${s.startLine}-${s.endLine}  (${s.score})`));
+    }
     console.log(c.dim(`  [${data.model} via SBK]`));
   } catch {
-    // Direct Ollama fallback
+    if (index) {
+      console.log(c.red('  --index needs the SBK server. Run: sbk start'));
+      process.exit(1);
+    }
+    // Direct Ollama fallback, with the model and prompt the server would use
     console.log(c.dim('  SBK server not running, querying Ollama directly...\n'));
+    let config;
+    try {
+      config = createConfig().current();
+    } catch (err) {
+      console.log(c.red(`  ${err.message}`));
+      process.exit(1);
+    }
     try {
       const res = await fetch(`${OLLAMA_URL}/api/chat`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          model: 'qwen2.5-coder:7b',
+          model: detectModeModels(await getAvailableModels(OLLAMA_URL), config).modes.code,
           messages: [
-            { role: 'system', content: 'You are a local code assistant. Be concise and direct.' },
-            { role: 'user', content: rest },
+            { role: 'system', content: config.modes.code.prompt },
+            { role: 'user', content: question },
           ],
+          options: createPresets(config.modes).resolve('code').options,
           stream: false,
         }),
       });
       const data = await res.json();
-      console.log(data.message?.content || 'No response');
+      console.log(data.message?.content || data.error || 'No response');
     } catch (err) {
       console.log(c.red('  Ollama not reachable. Run: ollama serve'));
     }
   }
 }
 
-async function scaffold() {
-  if (!rest) {
-    console.log(c.red('  Usage: sbk scaffold <project description>'));
+// Slash commands in `sbk chat`
+const CHAT_COMMANDS = [
+  ['/mode <name>', 'Switch mode; the conversation carries over'],
+  ['/model [name|auto]', 'Show the model, pin one, or go back to the mode\'s pick'],
+  ['/file <path>', 'Attach a file to your next message'],
+  ['/save [path]', 'Save the conversation as Markdown'],
+  ['/clear', 'Forget the conversation and any attachments'],
+  ['/help', 'Show this list'],
+  ['/exit', 'Leave (Ctrl+D works too)'],
+];
+// The server fits history to the model's context; talking to Ollama directly keeps the last N exchanges
+const FALLBACK_EXCHANGES = 10;
+const MAX_ATTACHMENT_BYTES = 200_000;
+
+// The SBK server when it answers, otherwise Ollama with the config and model picks the server would use
+async function chatBackend() {
+  try {
+    const res = await fetch(`${SBK_URL}/config`, { headers: sbkHeaders() });
+    const data = await res.json().catch(() => ({}));
+    if (res.ok) return { kind: 'sbk', modes: data.modes };
+    // A key without models:read may still chat; modes just aren't known up front
+    if (res.status === 401 || res.status === 403) return { kind: 'sbk', modes: null };
+  } catch {}
+
+  let config;
+  try {
+    config = createConfig().current();
+  } catch (err) {
+    console.log(c.red(`  ${err.message}`));
+    process.exit(1);
+  }
+  const available = await getAvailableModels(OLLAMA_URL);
+  if (!available.length) {
+    console.log(c.red('  Neither the SBK server nor Ollama (with a model installed) is reachable.'));
+    console.log(c.dim('  Run: sbk start, or ollama serve && sbk pull qwen2.5-coder:7b'));
     process.exit(1);
   }
+  const picked = detectModeModels(available, config);
+  return {
+    kind: 'ollama',
+    presets: createPresets(config.modes),
+    modes: Object.fromEntries(Object.entries(config.modes).map(([name, mode]) => [name, { model: picked.modes[name], prompt: mode.prompt }])),
+  };
+}
 
-  console.log(c.cyan(`\n  Scaffolding: ${rest}\n`));
+// Why the session can't switch to `mode`, or null
+function modeProblem(backend, mode) {
+  if (backend.modes && !backend.modes[mode]) return `Unknown mode: ${mode} (any of: ${Object.keys(backend.modes).join(', ')})`;
+  if (backend.kind === 'ollama' && mode === 'agent') return 'Agent mode needs the SBK server (its tools run there). Run: sbk start';
+  return null;
+}
+
+function currentModel(session) {
+  return session.model || session.backend.modes?.[session.mode]?.model || 'picked by the server';
+}
 
+async function chat() {
+  const first = positionals(['--mode', '--model']).join(' ');
+  const backend = await chatBackend();
+  const session = { backend, mode: getFlag('--mode') || 'code', model: getFlag('--model'), history: [], files: [], controller: null };
+  const problem = modeProblem(backend, session.mode);
+  if (problem) {
+    console.log(c.red(`  ${problem}`));
+    process.exit(1);
+  }
+
+  // Piped input is one message (after the question, if one was given); answers go to stdout alone
+  if (!process.stdin.isTTY) {
+    let piped = '';
+    for await (const chunk of process.stdin) piped += chunk;
+    const message = [first, piped.trim()].filter(Boolean).join('\n\n');
+    if (!message) {
+      console.log(c.red('  Usage: <command> | sbk chat [question] [--mode <m>] [--model <name>]'));
+      process.exit(1);
+    }
+    if (!(await chatTurn(session, message))) process.exitCode = 1;
+    return;
+  }
+
+  const via = backend.kind === 'sbk' ? `SBK server at ${SBK_URL}` : `Ollama directly (${currentModel(session)})`;
+  console.log(c.bold('\n  sbk chat') + c.dim(` — ${session.mode} mode via ${via}`));
+  console.log(c.dim('  /help lists commands. Ctrl+C stops an answer, Ctrl+D leaves.\n'));
+
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (question) => new Promise(resolve => rl.question(question, resolve));
+  rl.on('SIGINT', () => {
+    if (session.controller) session.controller.abort();
+    else rl.close();
+  });
+  const prompt = () => {
+    const attached = session.files.length ? c.dim(` +${session.files.length} file${session.files.length === 1 ? '' : 's'}`) : '';
+    rl.setPrompt(`${c.cyan(session.mode)}${attached}${c.cyan('>')} `);
+    rl.prompt();
+  };
+
+  if (first) await chatTurn(session, first, { ask });
+  prompt();
+  for await (const line of rl) {
+    const text = line.trim();
+    if (text.startsWith('/')) {
+      if ((await chatCommand(session, text)) === 'exit') break;
+    } else if (text) {
+      await chatTurn(session, text, { ask });
+    }
+    prompt();
+  }
+  rl.close();
+}
+
+// Run a slash command; returns 'exit' for /exit
+async function chatCommand(session, line) {
+  const [name, ...words] = line.split(/\s+/);
+  const arg = words.join(' ');
+
+  if (name === '/exit' || name === '/quit') return 'exit';
+
+  if (name === '/help') {
+    for (const [usage, text] of CHAT_COMMANDS) console.log(`  ${c.green(usage.padEnd(20))} ${c.dim(text)}`);
+    return;
+  }
+
+  if (name === '/mode') {
+    if (!arg) {
+      console.log(`  ${session.mode}${session.backend.modes ? c.dim(` (any of: ${Object.keys(session.backend.modes).join(', ')})`) : ''}`);
+      return;
+    }
+    const problem = modeProblem(session.backend, arg);
+    if (problem) console.log(c.red(`  ${problem}`));
+    else {
+      session.mode = arg;
+      console.log(c.dim(`  ${arg} mode, ${currentModel(session)}`));
+    }
+    return;
+  }
+
+  if (name === '/model') {
+    if (!arg) {
+      console.log(`  ${currentModel(session)}${session.model ? c.dim(' (pinned; /model auto to unpin)') : ''}`);
+      const available = await getAvailableModels(OLLAMA_URL);
+      if (available.length) console.log(c.dim(`  installed: ${available.join(', ')}`));
+      return;
+    }
+    if (arg === 'auto') {
+      session.model = null;
+      console.log(c.dim(`  ${session.mode} mode picks its model: ${currentModel(session)}`));
+      return;
+    }
+    const available = await getAvailableModels(OLLAMA_URL);
+    if (available.length && !available.includes(arg)) {
+      console.log(c.red(`  ${arg} is not installed. Pull it: sbk pull ${arg}`));
+      return;
+    }
+    session.model = arg;
+    console.log(c.dim(`  Using ${arg} until /model auto`));
+    return;
+  }
+
+  if (name === '/file') {
+    if (!arg) {
+      console.log(c.red('  Usage: /file <path>'));
+      return;
+    }
+    let content;
+    try {
+      const stats = statSync(arg);
+      if (!stats.isFile()) throw new Error('not a file');
+      if (stats.size > MAX_ATTACHMENT_BYTES) throw new Error(`larger than ${MAX_ATTACHMENT_BYTES / 1000} KB`);
+      content = readFileSync(arg, 'utf8');
+      if (content.includes('\0')) throw new Error('looks binary');
+    } catch (err) {
+      console.log(c.red(`  Can't attach ${arg}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`));
+      return;
+    }
+    const path = relative(process.cwd(), arg) || arg;
+    session.files = [...session.files.filter(f => f.path !== path), { path, content }];
+    console.log(c.dim(`  Attached ${path} (${content.split('\n').length} lines) to your next message`));
+    return;
+  }
+
+  if (name === '/save') {
+    if (!session.history.length) {
+      console.log(c.dim('  Nothing to save yet'));
+      return;
+    }
+    const out = arg || `sbk-chat-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.md`;
+    try {
+      writeFileSync(out, chatMarkdown(session.history));
+      console.log(c.green(`  Saved ${session.history.length / 2} exchange(s) to ${out}`));
+    } catch (err) {
+      console.log(c.red(`  Could not save: ${err.message}`));
+    }
+    return;
+  }
+
+  if (name === '/clear') {
+    session.history = [];
+    session.files = [];
+    console.log(c.dim('  Cleared'));
+    return;
+  }
+
+  console.log(c.red(`  Unknown command: ${name}`) + c.dim(' (/help lists them)'));
+}
+
+function chatMarkdown(history) {
+  const turns = history.map(turn => turn.role === 'user'
+    ? `## You\n\n${turn.content}`
+    : `## ${turn.model || 'Assistant'} (${turn.mode})\n\n${turn.content}`);
+  return `# sbk chat — ${new Date().toISOString().slice(0, 16).replace('T', ' ')}\n\n${turns.join('\n\n')}\n`;
+}
+
+/**
+ * Send one message, streaming the answer to stdout. Attachments go with
+ * it and are then cleared; history only grows when an answer completes.
+ * Returns whether it did. Status lines go to stderr so piped output is
+ * just the answer.
+ */
+async function chatTurn(session, text, { ask } = {}) {
+  const attached = prepareAttachments({ files: session.files.length ? session.files : undefined });
+  if (attached.error) {
+    console.error(c.red(`  ${attached.error}`));
+    return false;
+  }
+  const prompt = attached.text ? `${text}\n\n${attached.text}` : text;
+
+  session.controller = new AbortController();
+  const { signal } = session.controller;
   try {
-    const res = await fetch(`${SBK_URL}/scaffold`, {
+    const send = session.backend.kind === 'sbk' ? chatViaServer : chatViaOllama;
+    const { response, model } = await send(session, { text, prompt }, { signal, ask });
+    session.history.push(
+      { role: 'user', content: prompt },
+      { role: 'assistant', content: response, model, mode: session.mode },
+    );
+    session.files = [];
+    return true;
+  } catch (err) {
+    console.error(signal.aborted ? c.dim('\n  (stopped)') : c.red(`\n  ${err.message}`));
+    return false;
+  } finally {
+    session.controller = null;
+  }
+}
+
+function endAnswer(response, label, tokensPerSecond) {
+  if (!response.endsWith('\n')) process.stdout.write('\n');
+  console.error(c.dim(`  [${label}${tokensPerSecond ? `, ${tokensPerSecond} tok/s` : ''}]\n`));
+}
+
+async function chatViaServer(session, { text }, { signal, ask }) {
+  const res = await fetch(`${SBK_URL}/chat/stream`, {
+    method: 'POST',
+    headers: sbkHeaders(),
+    signal,
+    body: JSON.stringify({
+      message: text,
+      mode: session.mode,
+      history: session.history.map(({ role, content }) => ({ role, content })),
+      ...(session.model && { model: session.model }),
+      ...(session.files.length && { files: session.files }),
+    }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    if (reportAuthError(res, data)) process.exit(1);
+    throw new Error(data.error || `SBK server error: ${res.status}`);
+  }
+
+  let response = '';
+  let model = session.model;
+  let streamId = null;
+  let stats = {};
+  for await (const { event, data } of sseEvents(res)) {
+    if (event === 'meta') {
+      streamId = data.streamId || streamId;
+      model = data.model || model;
+      if (data.queue) console.error(c.dim(`  queued — #${data.queue.position} in line`));
+    }
+    if (event === 'token') {
+      response += data.token;
+      process.stdout.write(data.token);
+    }
+    if (event === 'tool') {
+      const mark = data.ok ? c.green('✓') : c.red('✗');
+      console.error(`  ${mark} ${data.tool} ${c.dim(JSON.stringify(data.args).slice(0, 100))}`);
+    }
+    // Agent mode asks before running commands or writing files; without a terminal the answer is no
+    if (event === 'approval') {
+      const answer = ask ? await ask(c.yellow(`  Allow ${data.tool} ${JSON.stringify(data.args)}? [y/N] `)) : 'n';
+      await fetch(`${SBK_URL}/chat/stream/${streamId}/approve`, {
+        method: 'POST',
+        headers: sbkHeaders(),
+        body: JSON.stringify({ id: data.id, approve: /^y(es)?$/i.test(answer.trim()) }),
+      });
+    }
+    if (event === 'error') throw new Error(data.error);
+    if (event === 'done') stats = data;
+  }
+  if (!stats.done) throw new Error('The answer was cut off');
+  endAnswer(response, `${model} via SBK`, stats.tokensPerSecond);
+  return { response, model };
+}
+
+async function chatViaOllama(session, { prompt }, { signal }) {
+  const { modes, presets } = session.backend;
+  const mode = modes[session.mode] ? session.mode : 'general';
+  const model = session.model || modes[mode].model;
+  const res = await fetch(`${OLLAMA_URL}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    signal,
+    body: JSON.stringify({
+      model,
+      stream: true,
+      options: presets.resolve(mode).options,
+      messages: [
+        { role: 'system', content: modes[mode].prompt },
+        ...session.history.slice(-FALLBACK_EXCHANGES * 2).map(({ role, content }) => ({ role, content })),
+        { role: 'user', content: prompt },
+      ],
+    }),
+  });
+  if (!res.ok) throw new Error(`Ollama error: ${res.status} ${await res.text()}`);
+
+  let response = '';
+  let final = null;
+  for await (const part of ndjsonLines(res)) {
+    if (part.error) throw new Error(part.error);
+    if (part.message?.content) {
+      response += part.message.content;
+      process.stdout.write(part.message.content);
+    }
+    if (part.done) final = part;
+  }
+  if (!final) throw new Error('The answer was cut off');
+  const tokensPerSecond = final.eval_duration ? Math.round(final.eval_count / (final.eval_duration / 1e9) * 10) / 10 : null;
+  endAnswer(response, `${model} via Ollama`, tokensPerSecond);
+  return { response, model };
+}
+
+async function index() {
+  const [dir] = positionals(['--name', '--model']);
+  const store = createIndexStore();
+
+  if (!dir) {
+    const list = await store.list();
+    console.log(c.bold('\n  Codebase Indexes\n'));
+    if (!list.length) console.log(c.dim('  None yet. Create one: sbk index <dir>'));
+    for (const i of list) {
+      console.log(`  ${c.green(i.name.padEnd(24))} ${c.dim(`${i.files} files, ${i.chunks} chunks, ${i.model}`)}`);
+      console.log(c.dim(`  ${''.padEnd(24)} ${i.root}`));
+    }
+    console.log('');
+    return;
+  }
+  if (!existsSync(dir)) {
+    console.log(c.red(`  No such directory: ${dir}`));
+    process.exit(1);
+  }
+
+  // The first installed model from the config's embed list, unless --model names one
+  let model = getFlag('--model');
+  if (!model) {
+    let available = [];
+    try {
+      const data = await (await fetch(`${OLLAMA_URL}/api/tags`)).json();
+      available = data.models?.map(m => m.name) || [];
+    } catch {
+      console.log(c.red('  Ollama not reachable. Run: ollama serve'));
+      process.exit(1);
+    }
+    let preferred;
+    try {
+      preferred = createConfig().current().models.embed || [];
+    } catch (err) {
+      console.log(c.red(`  ${err.message}`));
+      process.exit(1);
+    }
+    model = pickBestModel(available, preferred);
+    if (!model) {
+      console.log(c.red('  No embedding model installed. Pull one:'));
+      console.log(c.cyan(`    sbk pull ${preferred[0] || 'nomic-embed-text'}`));
+      process.exit(1);
+    }
+  }
+
+  const name = getFlag('--name') || indexNameFor(dir);
+  console.log(c.cyan(`\n  Indexing ${dir} as "${name}" with ${model}\n`));
+
+  const embed = async (input) => {
+    const res = await fetch(`${OLLAMA_URL}/api/embed`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ description: rest }),
+      body: JSON.stringify({ model, input }),
     });
-    const data = await res.json();
+    if (!res.ok) throw new Error(`Ollama error: ${res.status} ${await res.text()}`);
+    return (await res.json()).embeddings;
+  };
 
-    if (data.files && data.files.length > 0) {
-      console.log(c.green(`  Generated ${data.files.length} files:\n`));
-      for (const file of data.files) {
-        console.log(`  ${c.cyan(file.path)}`);
+  try {
+    const result = await store.build(dir, {
+      name,
+      model,
+      embed,
+      onProgress: ({ done, total }) => process.stdout.write(`\r  Embedding ${done}/${total} chunks`),
+    });
+    if (result.embedded) process.stdout.write('\n');
+    console.log(c.green(`\n  Indexed ${result.files} files into ${result.chunks} chunks`)
+      + c.dim(` (${result.embedded} embedded, ${result.reused} unchanged, ${result.skipped} skipped)`));
+    console.log(c.dim(`\n  Ask about it: sbk ask "where is auth handled?" --index ${name}\n`));
+  } catch (err) {
+    console.log(c.red(`\n  Indexing failed: ${err.message}`));
+    process.exit(1);
+  }
+}
+
+// Files to review: each path, directories expanded the way `sbk index` lists them
+async function reviewFiles(paths) {
+  const files = [];
+  let size = 0;
+  for (const path of paths) {
+    if (!existsSync(path)) {
+      console.log(c.red(`  No such file or directory: ${path}`));
+      process.exit(1);
+    }
+    const names = statSync(path).isDirectory()
+      ? (await listSourceFiles(path)).map(name => join(path, name))
+      : [path];
+    for (const name of names) {
+      const rel = relative(process.cwd(), name) || name;
+      if (files.some(f => f.path === rel)) continue;
+      const content = readFileSync(name);
+      if (content.includes(0)) continue;
+      if (files.length >= MAX_FILES || size + content.length > 350_000) {
+        console.log(c.yellow(`  Stopping at ${files.length} files — too much to review at once; pass fewer paths`));
+        return files;
       }
-      console.log(c.dim('\n  Use /scaffold with the SBK dashboard to write files to disk.'));
-    } else {
-      console.log(data.raw || 'No scaffold output');
+      size += content.length;
+      files.push({ path: rel, content: content.toString('utf8') });
     }
+  }
+  return files;
+}
+
+async function review() {
+  const paths = positionals();
+  const staged = args.includes('--staged');
+
+  // Paths: their contents. --staged: the index's diff. Neither: all uncommitted changes.
+  let attachment;
+  if (paths.length && !staged) {
+    attachment = { files: await reviewFiles(paths) };
+    if (!attachment.files.length) {
+      console.log(c.yellow('  Nothing to review (only binary files)'));
+      return;
+    }
+  } else {
+    // Before the first commit there's no HEAD; everything added counts as new
+    const inRepo = spawnSync('git', ['rev-parse', '--is-inside-work-tree']).status === 0;
+    const hasHead = spawnSync('git', ['rev-parse', '--verify', '--quiet', 'HEAD']).status === 0;
+    const base = inRepo && !hasHead
+      ? spawnSync('git', ['hash-object', '-t', 'tree', '/dev/null'], { encoding: 'utf8' }).stdout.trim()
+      : 'HEAD';
+    const diffArgs = staged ? ['diff', '--staged'] : ['diff', base];
+    const git = spawnSync('git', [...diffArgs, '--no-color', '--no-ext-diff', '--', ...paths], {
+      encoding: 'utf8',
+      maxBuffer: 16 * 1024 * 1024,
+    });
+    if (git.status !== 0) {
+      console.log(c.red(`  git ${diffArgs.join(' ')} failed: ${(git.stderr || '').trim() || 'not a git repository?'}`));
+      process.exit(1);
+    }
+    if (!git.stdout.trim()) {
+      console.log(c.dim(staged ? '  No staged changes to review' : '  No uncommitted changes to review'));
+      return;
+    }
+    attachment = { diff: git.stdout };
+  }
+
+  const what = attachment.files ? `${attachment.files.length} file(s)` : staged ? 'staged changes' : 'uncommitted changes';
+  console.log(c.cyan(`\n  Reviewing ${what}...\n`));
+
+  let res, data;
+  try {
+    res = await fetch(`${SBK_URL}/chat`, {
+      method: 'POST',
+      headers: sbkHeaders(),
+      body: JSON.stringify({ message: `Review these ${what}.`, mode: 'review', ...attachment }),
+    });
+    data = await res.json();
+  } catch {
+    console.log(c.red('  SBK server not running. Start it: sbk start'));
+    process.exit(1);
+  }
+  if (reportAuthError(res, data)) process.exit(1);
+  if (!res.ok) {
+    console.log(c.red(`  ${data.error}`));
+    process.exit(1);
+  }
+
+  const colors = { critical: c.red, high: c.red, medium: c.yellow, low: c.cyan, info: c.dim };
+  if (!data.findings?.length) {
+    console.log(data.response + '\n');
+  }
+  for (const f of data.findings || []) {
+    console.log(`  ${colors[f.severity](f.severity.padEnd(8))} ${c.bold(`${f.file}:${f.line}`)}`);
+    console.log(`           ${f.issue}`);
+    if (f.fix) console.log(c.dim(`           fix: ${f.fix}`));
+  }
+  console.log(c.dim(`\n  ${data.findings?.length || 0} finding(s) [${data.model} via SBK]\n`));
+
+  // Fail CI-style when anything serious turned up
+  if (data.findings?.some(f => f.severity === 'critical' || f.severity === 'high')) process.exitCode = 1;
+}
+
+async function scaffold() {
+  const description = positionals(['--out', '--on-conflict', '--rounds', '--template', '--name']).join(' ');
+  const out = getFlag('--out');
+  const dryRun = args.includes('--dry-run');
+  const onConflict = getFlag('--on-conflict');
+  const verify = args.includes('--verify') || getFlag('--rounds') !== null;
+  if (!description) {
+    console.log(c.red('  Usage: sbk scaffold <project description> [--out <dir>] [--dry-run] [--on-conflict overwrite|skip|merge]'));
+    console.log(c.red('                      [--template <id>] [--name <name>] [--verify] [--rounds <n>]'));
+    process.exit(1);
+  }
+  if (onConflict && !CONFLICT_ACTIONS.includes(onConflict)) {
+    console.log(c.red(`  --on-conflict must be one of: ${CONFLICT_ACTIONS.join(', ')}`));
+    process.exit(1);
+  }
+
+  console.log(c.cyan(`\n  Scaffolding: ${description}\n`));
+
+  let res;
+  try {
+    res = await fetch(`${SBK_URL}/scaffold`, {
+      method: 'POST',
+      headers: sbkHeaders(),
+      body: JSON.stringify({
+        description,
+        template: getFlag('--template') ?? undefined,
+        name: getFlag('--name') ?? undefined,
+        ...(verify && { verify: { rounds: Number(getFlag('--rounds') ?? 2) }, stream: true }),
+      }),
+    });
   } catch {
     console.log(c.red('  SBK server not running. Start it first: sbk start'));
+    process.exit(1);
+  }
+  let data = null;
+  if (!verify || !res.ok) {
+    data = await res.json();
+    if (reportAuthError(res, data)) process.exit(1);
+    if (!res.ok) {
+      console.log(c.red(`  ${data.error}`));
+      process.exit(1);
+    }
+  }
+
+  if (verify) {
+    data = await followVerification(res);
+    const { passed, repairs } = data.verify;
+    console.log(passed
+      ? c.green(`\n  All checks passed${repairs ? ` after ${repairs} repair round(s)` : ''}\n`)
+      : c.yellow(`\n  Some checks still fail after ${repairs} repair round(s)\n`));
   }
+
+  for (const file of data.rejected || []) {
+    console.log(c.yellow(`  ! ${file.path} — not written: ${file.reason}`));
+  }
+  if (!data.files?.length) {
+    console.log(data.raw || 'No scaffold output');
+    return;
+  }
+  if (!out) {
+    console.log(c.green(`  Generated ${data.files.length} files${data.template ? ` from the ${data.template} template` : ''}:\n`));
+    for (const file of data.files) console.log(`  ${c.cyan(file.path)}`);
+    console.log(c.dim('\n  Write them with: sbk scaffold "<description>" --out <dir>'));
+    return;
+  }
+
+  await writeProject(out, data.files, { dryRun, onConflict });
+}
+
+// Print a verification stream's progress and checks; resolves the `result` event
+async function followVerification(res) {
+  let result = null;
+  for await (const { event, data } of sseEvents(res)) {
+    if (event === 'progress') reportScaffoldProgress(data);
+    if (event === 'check') {
+      const label = `${data.name}${data.file ? ` ${data.file}` : ''}`;
+      const mark = data.ok ? c.green('✓') : data.advisory ? c.yellow('!') : c.red('✗');
+      console.log(`    ${mark} ${label}`);
+      if (!data.ok) console.log(c.dim(data.output.split('\n').slice(0, 6).map(l => `        ${l}`).join('\n')));
+    }
+    if (event === 'error') {
+      console.log(c.red(`  ${data.error}`));
+      process.exit(1);
+    }
+    if (event === 'result') result = data;
+  }
+  if (!result) {
+    console.log(c.red('  Stream ended without a result'));
+    process.exit(1);
+  }
+  return result;
+}
+
+async function contract() {
+  const description = positionals(['--out', '--on-conflict', '--rounds', '--name']).join(' ');
+  const out = getFlag('--out');
+  const dryRun = args.includes('--dry-run');
+  const onConflict = getFlag('--on-conflict');
+  const verify = args.includes('--verify') || getFlag('--rounds') !== null;
+  if (!description) {
+    console.log(c.red('  Usage: sbk contract <contract description> [--name <name>] [--out <dir>] [--dry-run]'));
+    console.log(c.red('                      [--on-conflict overwrite|skip|merge] [--verify] [--rounds <n>]'));
+    process.exit(1);
+  }
+  if (onConflict && !CONFLICT_ACTIONS.includes(onConflict)) {
+    console.log(c.red(`  --on-conflict must be one of: ${CONFLICT_ACTIONS.join(', ')}`));
+    process.exit(1);
+  }
+
+  console.log(c.cyan(`\n  Contract: ${description}\n`));
+
+  let res;
+  try {
+    res = await fetch(`${SBK_URL}/contract`, {
+      method: 'POST',
+      headers: sbkHeaders(),
+      body: JSON.stringify({
+        description,
+        name: getFlag('--name') ?? undefined,
+        verify: verify && { rounds: Number(getFlag('--rounds') ?? 2) },
+        stream: verify,
+      }),
+    });
+  } catch {
+    console.log(c.red('  SBK server not running. Start it first: sbk start'));
+    process.exit(1);
+  }
+  let data = null;
+  if (!verify || !res.ok) {
+    data = await res.json();
+    if (reportAuthError(res, data)) process.exit(1);
+    if (!res.ok) {
+      console.log(c.red(`  ${data.error}`));
+      process.exit(1);
+    }
+  }
+  if (verify) {
+    data = await followVerification(res);
+    printContractSummary(data.summary);
+    if (!data.summary.passed) process.exitCode = 1;
+  }
+
+  for (const file of data.rejected || []) {
+    console.log(c.yellow(`  ! ${file.path} — not written: ${file.reason}`));
+  }
+  if (!out) {
+    console.log(c.green(`  Generated ${data.files.length} files:\n`));
+    for (const file of data.files) console.log(`  ${c.cyan(file.path)}`);
+    console.log(c.dim('\n  Write them with: sbk contract "<description>" --out <dir>\n'));
+    return;
+  }
+
+  await writeProject(out, data.files, { dryRun, onConflict });
+  if (!dryRun) {
+    console.log(`  ${c.cyan('Next:')}\n    cd ${out}\n    forge install foundry-rs/forge-std\n    forge test\n`);
+  }
+}
+
+function printContractSummary({ passed, repairs, blocked, build, tests, slither }) {
+  const status = (check) => !check ? c.dim('– not run') : check.ok ? c.green('✓') : c.red('✗');
+  console.log(c.bold('\n  Contract summary\n'));
+  if (blocked) console.log(`    ${c.yellow(blocked.name.padEnd(8))} ${blocked.output.split('\n')[0]}`);
+  console.log(`    ${'build'.padEnd(8)} ${status(build)}`);
+  console.log(`    ${'tests'.padEnd(8)} ${status(tests)}${tests ? ` ${tests.passed} passed, ${tests.failed} failed` : ''}`);
+  if (slither?.error) {
+    console.log(`    ${'slither'.padEnd(8)} ${c.yellow('no report')} ${c.dim(slither.error.split('\n')[0])}`);
+  } else if (slither) {
+    const counts = Object.entries(slither.counts).filter(([, n]) => n).map(([impact, n]) => `${n} ${impact}`);
+    const color = slither.counts.high || slither.counts.medium ? c.yellow : c.green;
+    console.log(`    ${'slither'.padEnd(8)} ${color(`${slither.findings.length} finding(s)`)}${counts.length ? c.dim(` — ${counts.join(', ')}`) : ''}`);
+    for (const f of slither.findings.filter(f => f.impact === 'High' || f.impact === 'Medium')) {
+      console.log(c.dim(`             [${f.impact}] ${f.check}: ${f.description}`));
+    }
+  } else {
+    console.log(`    ${'slither'.padEnd(8)} ${c.dim('not run (install: pip install slither-analyzer)')}`);
+  }
+  if (passed) console.log(c.green(`\n  Builds and passes its tests${repairs ? ` after ${repairs} repair round(s)` : ''}\n`));
+  else if (blocked) console.log(c.yellow(`\n  Not verified: ${blocked.name} is unavailable (sbk doctor)\n`));
+  else console.log(c.yellow(`\n  Still failing after ${repairs} repair round(s)\n`));
+}
+
+function reportScaffoldProgress({ round, phase, position, failed }) {
+  if (phase === 'queued') console.log(c.dim(`  queued — #${position} in line`));
+  if (phase === 'generate') console.log(c.dim('  generating...'));
+  if (phase === 'verify') console.log(c.cyan(`  Checking${round ? ` (after repair ${round})` : ''}:`));
+  if (phase === 'repair') console.log(c.yellow(`  Repair round ${round}: sending ${failed} failure(s) back to the model...`));
+}
+
+// Parse a server-sent event stream into { event, data } objects
+async function* sseEvents(res) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        if (line.startsWith('data: ')) data += line.slice(6);
+      }
+      if (data) yield { event, data: JSON.parse(data) };
+    }
+  }
+}
+
+// Parse Ollama's newline-delimited JSON stream
+async function* ndjsonLines(res) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) if (line.trim()) yield JSON.parse(line);
+  }
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+// Write generated files into `out`: a listing for --dry-run, else asking about
+// each existing file (o/s/m, capital letter = same for the rest) unless --on-conflict says
+async function writeProject(out, files, { dryRun = false, onConflict } = {}) {
+  const plan = await planWrites(out, files);
+  const labels = { new: c.green('new      '), same: c.dim('unchanged'), exists: c.yellow('exists   '), rejected: c.red('rejected ') };
+  console.log(c.bold(`  ${dryRun ? 'Would write' : 'Writing'} ${plan.length} files to ${out}/\n`));
+  for (const entry of plan) {
+    console.log(`  ${labels[entry.status]} ${entry.path}${entry.reason ? c.dim(` — ${entry.reason}`) : ''}`);
+  }
+  if (dryRun) {
+    console.log(c.dim('\n  Dry run, nothing written.\n'));
+    return;
+  }
+
+  const rl = process.stdin.isTTY && !onConflict ? createInterface({ input: process.stdin, output: process.stdout }) : null;
+  const keys = { o: 'overwrite', s: 'skip', m: 'merge' };
+  let always = onConflict || (rl ? null : 'skip');
+  const decide = async (entry) => {
+    while (!always) {
+      const answer = (await new Promise(r => rl.question(`  ${entry.path} exists — [o]verwrite, [s]kip, [m]erge (O/S/M for all)? `, r))).trim();
+      const action = keys[answer.toLowerCase()];
+      if (!action) continue;
+      if (answer !== answer.toLowerCase()) always = action;
+      return action;
+    }
+    return always;
+  };
+
+  const results = await writePlan(plan, decide);
+  rl?.close();
+
+  const counts = {};
+  for (const { action } of results) counts[action] = (counts[action] || 0) + 1;
+  console.log(c.green(`\n  Done: ${Object.entries(counts).map(([action, n]) => `${n} ${action}`).join(', ')}`));
+  if (!onConflict && !rl && results.some(r => r.action === 'skipped')) {
+    console.log(c.dim('  Existing files were kept; pass --on-conflict overwrite|merge to change them'));
+  }
+  console.log('');
+}
+
+// Template projects are written by scaffold.mjs itself, like deploy.mjs handles deploys
+async function newProject() {
+  const child = spawn('node', [join(__dirname, 'scaffold.mjs'), ...args.slice(1)], {
+    stdio: 'inherit',
+  });
+  child.on('exit', (code) => process.exit(code));
 }
 
 async function models() {
@@ -189,14 +1027,23 @@ async function doctor() {
     { name: 'Vercel CLI', check: () => execSync('vercel --version', { encoding: 'utf8', stdio: 'pipe' }).trim() },
     { name: 'IPFS', check: () => execSync('ipfs version', { encoding: 'utf8', stdio: 'pipe' }).trim() },
     { name: 'Foundry', check: () => execSync('forge --version', { encoding: 'utf8', stdio: 'pipe' }).split(' ').slice(0, 2).join(' ') },
+    { name: 'Slither', check: () => `slither ${execSync('slither --version', { encoding: 'utf8', stdio: 'pipe' }).trim()}` },
+    {
+      name: 'forge-std',
+      missing: `not in ${FORGE_STD_DIR} — node setup.mjs fetches ${FORGE_STD_TAG}`,
+      check: () => {
+        if (!hasForgeStd()) throw new Error('missing');
+        return FORGE_STD_DIR;
+      },
+    },
   ];
 
-  for (const { name, check } of checks) {
+  for (const { name, check, missing = 'not found' } of checks) {
     try {
       const result = await check();
       console.log(`  ${c.green('✓')} ${name.padEnd(15)} ${c.dim(result)}`);
     } catch {
-      console.log(`  ${c.red('✗')} ${name.padEnd(15)} ${c.dim('not found')}`);
+      console.log(`  ${c.red('✗')} ${name.padEnd(15)} ${c.dim(missing)}`);
     }
   }
 
@@ -250,12 +1097,7 @@ ${c.dim('  Build an agent that engages @SentientARI on X.')}
 ${c.dim('  Top agents earn seats on ARI\'s council via $ARI token voting.')}
 `);
 
-  // Parse flags: --handle, --domain, --alignment, --personality
-  const getFlag = (flag) => {
-    const idx = args.indexOf(flag);
-    return idx !== -1 && args[idx + 1] ? args[idx + 1] : null;
-  };
-
+  // Flags: --handle, --domain, --alignment, --personality
   const isTTY = process.stdin.isTTY;
   let rl;
   let prompt;
@@ -534,6 +1376,10 @@ MIT
   console.log(`    npm install`);
   console.log(`    npm start`);
 
+  console.log(`\n  ${c.cyan('Try its voice locally first:')}`);
+  console.log(`    sbk start             # from the directory holding ${slug}/, then pick it in the dashboard`);
+  console.log(`    curl localhost:3776/chat -H 'Content-Type: application/json' -d '{"message":"gm","mode":"general","persona":"${slug}"}'`);
+
   console.log(`\n  ${c.dim('Your agent will be discovered by ARI\'s tracker when it')}`);
   console.log(`  ${c.dim('engages @SentientARI on X. Top agents earn council seats.')}`);
   console.log('');
@@ -548,7 +1394,12 @@ ${c.dim('  Local AI + Wallet Auth + No Gatekeepers')}
 
     ${c.green('sbk start')}                Start the local AI dev server
     ${c.green('sbk ask')} <question>        Ask the local AI a coding question
-    ${c.green('sbk scaffold')} <desc>       Generate a complete project
+    ${c.green('sbk chat')} [question]       Streaming chat session with history and /commands
+    ${c.green('sbk index')} <dir>           Index a codebase for ask --index
+    ${c.green('sbk review')} [paths]        Review files, --staged changes or the working tree
+    ${c.green('sbk scaffold')} <desc>       Generate a complete project (--out <dir> to write it)
+    ${c.green('sbk new')} <template> <name> Create a project from a template, offline
+    ${c.green('sbk contract')} <desc>       Solidity contract + tests (--verify: forge build/test and repair)
     ${c.green('sbk create-agent')} <name>   Create an X agent for council seats
     ${c.green('sbk models')}                List available local models
     ${c.green('sbk pull')} <model>          Pull a new model from Ollama
@@ -566,7 +1417,11 @@ ${c.dim('  Local AI + Wallet Auth + No Gatekeepers')}
   ${c.cyan('Examples:')}
 
     sbk ask "Write a React hook for wallet connection"
-    sbk scaffold "NFT marketplace with SIWE auth"
+    git diff | sbk chat "Write a commit message for this" --mode general
+    sbk index . && sbk ask "How are sessions stored?" --index my-app
+    sbk scaffold "NFT marketplace with SIWE auth" --out nft-market
+    sbk new express my-api
+    sbk contract "ERC-20 with capped supply and owner mint" --out token --verify
     sbk deploy self-host
 `);
 }
@@ -574,7 +1429,7 @@ ${c.dim('  Local AI + Wallet Auth + No Gatekeepers')}
 // ── Main ──────────────────────────────────────────────────────────
 
 const commands = {
-  start, ask, scaffold, 'create-agent': createAgent, models, pull, deploy, doctor, manifest, help,
+  start, ask, chat, index, review, scaffold, new: newProject, contract, 'create-agent': createAgent, models, pull, deploy, doctor, manifest, help,
   '--help': help, '-h': help,
 };
 
@@ -0,0 +1,246 @@
+/**
+ * Sovereign Builder Kit — context budgeting
+ *
+ * Fits a conversation into the model's context window instead of keeping a
+ * fixed number of turns. The window comes from Ollama's /api/show (capped by
+ * SBK_CONTEXT_LIMIT, since large windows cost RAM), half of it at most is
+ * reserved for the reply, and history is kept newest-first until the rest
+ * is used up. Turns that no longer fit are folded into a rolling summary,
+ * sent as a second system message.
+ *
+ * Token counts are estimates (no tokenizer runs locally): roughly one token
+ * per short word or symbol and one per four characters of longer words.
+ */
+
+import crypto from 'node:crypto';
+
+export const DEFAULT_CONTEXT = 4096;    // when /api/show has no answer
+export const DEFAULT_CONTEXT_LIMIT = 8192;
+const MAX_OUTPUT = 4096;
+const MIN_INPUT = 256;                  // never let num_predict eat the whole window
+const MESSAGE_OVERHEAD = 4;             // role + delimiters per message
+const SUMMARY_SHARE = 8;                // summary may use 1/8 of the input budget
+const REFILL_SHARE = 0.6;               // after summarizing, history uses ≤60% of its budget
+const SUMMARY_CACHE_SIZE = 200;
+
+const SUMMARY_PROMPT = `Summarize the conversation so far for your own later reference. Keep decisions, requirements, names, file paths and code identifiers; drop pleasantries. Write plain prose, no preamble.`;
+
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of String(text || '').matchAll(/\w+|[^\w\s]/g)) {
+    tokens += piece.length > 4 ? Math.ceil(piece.length / 4) : 1;
+  }
+  return tokens;
+}
+
+export function messageTokens(messages) {
+  return messages.reduce((sum, m) => sum + MESSAGE_OVERHEAD + estimateTokens(m.content), 0);
+}
+
+// The leading part of text that fits in `tokens`, by the same estimate
+function clipTokens(text, tokens) {
+  let used = 0;
+  for (const match of String(text || '').matchAll(/\w+|[^\w\s]/g)) {
+    used += match[0].length > 4 ? Math.ceil(match[0].length / 4) : 1;
+    if (used > tokens) return text.slice(0, match.index);
+  }
+  return text;
+}
+
+function transcriptLine(m) {
+  return `${m.role}: ${m.content}`;
+}
+
+// Pull the trained context length out of an /api/show response
+export function parseContextLength(show) {
+  const info = show?.model_info || {};
+  const key = Object.keys(info).find(k => k.endsWith('.context_length'));
+  if (key && Number(info[key]) > 0) return Number(info[key]);
+  const param = /^num_ctx\s+(\d+)/m.exec(show?.parameters || '');
+  return param ? Number(param[1]) : null;
+}
+
+// Hash chain over history so every prefix has a stable cache key
+function prefixKeys(history) {
+  const keys = [''];
+  let hash = '';
+  for (const m of history) {
+    hash = crypto.createHash('sha256').update(`${hash}\n${m.role}\n${m.content}`).digest('hex');
+    keys.push(hash);
+  }
+  return keys;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.ollamaUrl
+ * @param {(model: string, messages: object[], options: object, signal?: AbortSignal) => Promise<string>} options.complete
+ * @param {number} [options.limit] - cap on the window actually requested (num_ctx)
+ */
+export function createContextManager({ ollamaUrl, complete, limit = DEFAULT_CONTEXT_LIMIT }) {
+  const windows = new Map();    // model -> trained context length
+  const summaries = new Map();  // history prefix hash -> summary text
+
+  async function contextLength(model) {
+    if (windows.has(model)) return windows.get(model);
+    let length = null;
+    try {
+      const res = await fetch(`${ollamaUrl}/api/show`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model }),
+      });
+      if (res.ok) length = parseContextLength(await res.json());
+    } catch {}
+    // Only cache real answers so a cold Ollama is asked again next time
+    if (length) windows.set(model, length);
+    return length || DEFAULT_CONTEXT;
+  }
+
+  // Window and output reservation for one request. A requested num_ctx can
+  // shrink the window but not grow it past the limit; num_predict is honoured
+  // as long as some room is left for the prompt.
+  async function budget(model, requested = {}) {
+    const window = await contextLength(model);
+    const numCtx = Math.min(window, limit, requested.num_ctx || Infinity);
+    const maxOutput = requested.num_predict
+      ? Math.max(1, Math.min(requested.num_predict, numCtx - MIN_INPUT))
+      : Math.min(MAX_OUTPUT, Math.floor(numCtx / 2));
+    return { contextLength: window, numCtx, maxOutput, inputBudget: numCtx - maxOutput };
+  }
+
+  function remember(key, summary) {
+    summaries.set(key, summary);
+    if (summaries.size > SUMMARY_CACHE_SIZE) summaries.delete(summaries.keys().next().value);
+  }
+
+  function summaryRequest(previous, turns) {
+    const transcript = turns.map(transcriptLine).join('\n\n');
+    const content = previous
+      ? `Earlier summary:\n${previous}\n\nConversation since:\n${transcript}`
+      : transcript;
+    return [
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content },
+    ];
+  }
+
+  // The summary request is budgeted like a chat request: turns are folded in
+  // over as many passes as it takes for each to fit num_ctx after num_predict
+  async function summarize(model, previous, turns, options, signal) {
+    const inputBudget = options.num_ctx - options.num_predict;
+    let summary = previous;
+    let start = 0;
+    while (start < turns.length) {
+      const room = inputBudget - messageTokens(summaryRequest(summary, []));
+      let end = start;
+      let used = 0;
+      while (end < turns.length && used + estimateTokens(transcriptLine(turns[end])) <= room) {
+        used += estimateTokens(transcriptLine(turns[end]));
+        end++;
+      }
+      let batch = turns.slice(start, end);
+      if (!batch.length) {
+        // A single turn larger than the window: summarize as much as fits
+        const turn = turns[start];
+        const overhead = estimateTokens(transcriptLine({ ...turn, content: '' }));
+        batch = [{ ...turn, content: clipTokens(turn.content, Math.max(0, room - overhead)) }];
+        end = start + 1;
+      }
+      summary = await complete(model, summaryRequest(summary, batch), options, signal);
+      start = end;
+    }
+    return summary;
+  }
+
+  /**
+   * Assemble system prompt + history + message within the model's budget.
+   * `options` are the caller's sampling options; `signal` cancels a pending
+   * summary. Returns { messages, options,
+   * context } — `options` goes to Ollama with num_ctx/num_predict settled,
+   * `context` describes the budget for the API response.
+   */
+  async function fit({ model, system, history = [], message, options: requested = {}, signal }) {
+    const b = await budget(model, requested);
+    const options = { ...requested, num_ctx: b.numCtx, num_predict: b.maxOutput };
+    const head = [{ role: 'system', content: system }];
+    const tail = [{ role: 'user', content: message }];
+    const fixed = messageTokens(head) + messageTokens(tail);
+
+    const summaryBudget = Math.floor(b.inputBudget / SUMMARY_SHARE);
+    const historyBudget = Math.max(0, b.inputBudget - fixed - summaryBudget);
+
+    // suffix[i] = tokens of history[i..]
+    const suffix = new Array(history.length + 1).fill(0);
+    for (let i = history.length - 1; i >= 0; i--) suffix[i] = suffix[i + 1] + messageTokens([history[i]]);
+
+    // Everything fits — no summary needed
+    if (suffix[0] <= b.inputBudget - fixed) {
+      return {
+        messages: [...head, ...history, ...tail],
+        options,
+        context: report(b, fixed + suffix[0], history.length, 0, false),
+      };
+    }
+
+    const keys = prefixKeys(history);
+    const fits = (from) => suffix[from] <= historyBudget;
+
+    // Reuse the latest summarized cut whose remaining history still fits
+    let cut = -1;
+    for (let i = history.length; i > 0; i--) {
+      if (summaries.has(keys[i])) {
+        if (fits(i)) cut = i;
+        break;
+      }
+    }
+
+    let summary = cut > 0 ? summaries.get(keys[cut]) : null;
+    if (cut < 0) {
+      // Drop enough that the next few turns fit without summarizing again
+      let from = 0;
+      while (from < history.length && suffix[from] > historyBudget * REFILL_SHARE) from++;
+      let prev = 0;
+      for (let i = from - 1; i > 0; i--) {
+        if (summaries.has(keys[i])) { prev = i; break; }
+      }
+      try {
+        summary = await summarize(model, prev ? summaries.get(keys[prev]) : null, history.slice(prev, from), {
+          num_ctx: b.numCtx,
+          num_predict: summaryBudget,
+        }, signal);
+        remember(keys[from], summary);
+      } catch (err) {
+        if (!signal?.aborted) console.error(`  [context] summary failed: ${err.message}`);
+        summary = null;
+      }
+      cut = from;
+    }
+
+    const kept = history.slice(cut);
+    const summaryMessages = summary
+      ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary}` }]
+      : [];
+    const messages = [...head, ...summaryMessages, ...kept, ...tail];
+    return {
+      messages,
+      options,
+      context: report(b, messageTokens(messages), kept.length, cut, Boolean(summary)),
+    };
+  }
+
+  function report(b, promptTokens, kept, dropped, summarized) {
+    return {
+      contextLength: b.contextLength,
+      numCtx: b.numCtx,
+      maxOutput: b.maxOutput,
+      inputBudget: b.inputBudget,
+      promptTokens,
+      historyKept: kept,
+      historyDropped: dropped,
+      summarized,
+    };
+  }
+
+  return { fit, budget, contextLength };
+}
@@ -74,6 +74,8 @@ services:
     environment:
       - NODE_ENV=production
       - OLLAMA_URL=\${OLLAMA_URL:-http://host.docker.internal:11434}
+      # Share with the SBK server to accept its signed wallet session tokens
+      - SBK_AUTH_TOKEN_SECRET=\${SBK_AUTH_TOKEN_SECRET:-}
     restart: unless-stopped
     extra_hosts:
       - "host.docker.internal:host-gateway"
@@ -0,0 +1,52 @@
+/**
+ * Sovereign Builder Kit — model selection
+ *
+ * Each mode has a model preference list (sbk.config.json); the first
+ * installed model wins. A preference matches by name before the tag, so
+ * "qwen2.5-coder:14b" settles for whichever qwen2.5-coder is installed.
+ * Defaults: coding models for code/review/scaffold, uncensored models for
+ * general.
+ *
+ * Shared by the server and by the CLI when it talks to Ollama directly, so
+ * both pick the same model for the same mode.
+ */
+
+// Used when Ollama reports no models at all
+export const FALLBACK_MODEL = 'qwen2.5-coder:7b';
+
+// Installed model names, or [] when Ollama can't be reached
+export async function getAvailableModels(ollamaUrl) {
+  try {
+    const res = await fetch(`${ollamaUrl}/api/tags`);
+    const data = await res.json();
+    return data.models?.map(m => m.name) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function pickBestModel(available, preferenceList) {
+  for (const model of preferenceList) {
+    const prefix = model.split(':')[0];
+    const match = available.find(m => m.startsWith(prefix));
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * The code, general and embedding models plus one model per mode, from a
+ * config's `models` and `modes`. Modes whose preferred models aren't
+ * installed fall back to the code model.
+ */
+export function detectModeModels(available, { models, modes }) {
+  const code = pickBestModel(available, models.code) || available[0] || FALLBACK_MODEL;
+  const general = pickBestModel(available, models.general) || code;
+  const embed = models.embed ? pickBestModel(available, models.embed) : null;
+
+  const modeModels = {};
+  for (const [name, mode] of Object.entries(modes)) {
+    modeModels[name] = pickBestModel(available, mode.models) || code;
+  }
+  return { code, general, embed, modes: modeModels };
+}
@@ -0,0 +1,120 @@
+/**
+ * Sovereign Builder Kit — OpenAI wire format
+ *
+ * Translation between the OpenAI chat/models/embeddings API and Ollama, so
+ * editors and SDKs can use base URL http://localhost:3776/v1 with any key
+ * (or a real `sbk_...` key when SBK_REQUIRE_AUTH is on).
+ *
+ * The model `sbk-<mode>` runs that mode (any mode in sbk.config.json): its
+ * model, system prompt and presets. Any other name is passed to Ollama
+ * as-is, with no system prompt.
+ */
+
+import crypto from 'node:crypto';
+import { validateOptions } from './presets.mjs';
+
+const ALIAS_PREFIX = 'sbk-';
+
+// `sbk-review` -> 'review' when that mode exists, else null
+export function modeForModel(model, modes) {
+  if (typeof model !== 'string' || !model.startsWith(ALIAS_PREFIX)) return null;
+  const mode = model.slice(ALIAS_PREFIX.length);
+  return Object.hasOwn(modes, mode) ? mode : null;
+}
+
+export function openaiError(message, { type = 'invalid_request_error', code = null, param = null } = {}) {
+  return { error: { message, type, param, code } };
+}
+
+// Message content may be a string or an array of parts; only text is kept
+function textContent(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(p => p?.type === 'text').map(p => p.text).join('\n');
+  }
+  return '';
+}
+
+// OpenAI messages -> Ollama messages; returns { error } or { messages }
+export function toOllamaMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: 'messages must be a non-empty array' };
+  }
+  const out = [];
+  for (const m of messages) {
+    // Tool and function turns have no Ollama equivalent here; `developer` is OpenAI's new `system`
+    const role = m?.role === 'developer' ? 'system' : m?.role;
+    if (!['system', 'user', 'assistant'].includes(role)) continue;
+    out.push({ role, content: textContent(m.content) });
+  }
+  if (!out.some(m => m.role === 'user')) return { error: 'messages must include a user message' };
+  return { messages: out };
+}
+
+// Sampling fields of a chat request -> validated Ollama options
+export function toOllamaOptions(body) {
+  const options = {};
+  for (const name of ['temperature', 'top_p', 'seed', 'stop']) {
+    if (body[name] !== undefined && body[name] !== null) options[name] = body[name];
+  }
+  const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+  if (maxTokens !== undefined && maxTokens !== null) options.num_predict = maxTokens;
+  return validateOptions(options);
+}
+
+export function completionId() {
+  return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+export function usageFrom(done = {}) {
+  const prompt = done.prompt_eval_count || 0;
+  const completion = done.eval_count || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+export function finishReason(done = {}) {
+  return done.done_reason === 'length' ? 'length' : 'stop';
+}
+
+export function completion({ id, model, content, done }) {
+  return {
+    id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: finishReason(done),
+    }],
+    usage: usageFrom(done),
+  };
+}
+
+export function completionChunk({ id, model, delta = {}, finish = null }) {
+  return {
+    id,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, delta, finish_reason: finish }],
+  };
+}
+
+export function modelList(modeNames, available) {
+  const created = Math.floor(Date.now() / 1000);
+  const entry = (id) => ({ id, object: 'model', created, owned_by: 'sbk' });
+  return {
+    object: 'list',
+    data: [...modeNames.map(mode => ALIAS_PREFIX + mode), ...available].map(entry),
+  };
+}
+
+export function embeddingList({ model, embeddings, promptTokens = 0 }) {
+  return {
+    object: 'list',
+    data: embeddings.map((embedding, index) => ({ object: 'embedding', index, embedding })),
+    model,
+    usage: { prompt_tokens: promptTokens, total_tokens: promptTokens },
+  };
+}
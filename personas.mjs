@@ -0,0 +1,160 @@
+/**
+ * Sovereign Builder Kit — personas from soul files
+ *
+ * A soul file (identity/soul.json) describes an agent's voice: `personality`
+ * tone, voice rules and markers, plus optional domain and principles. Chat
+ * requests with `persona` get a system prompt composed from it, so an agent
+ * made with `sbk create-agent` can be talked to locally before it goes live.
+ *
+ * Personas come from, in order (the first with a given id wins):
+ *
+ *   1. the bundled identity/soul.json (ARI)
+ *   2. sbk.config.json `personas`: { "<id>": "<soul.json or agent dir>" }
+ *   3. agents in the server's working directory: ./<slug>/identity/soul.json
+ *
+ * The bundled soul's id is its slugged name (`ari`); config personas use
+ * their key and agents their directory name.
+ *
+ * Files are read on every lookup, so edits to a soul show up immediately.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { SOUL_PATH } from './tiers.mjs';
+
+const isText = (v) => typeof v === 'string' && v.trim().length > 0;
+const isTextList = (v) => Array.isArray(v) && v.every(isText);
+
+// field -> [required, check, description]
+const SOUL_RULES = {
+  name: [true, isText, 'a non-empty string'],
+  personality: [true, (v) => v !== null && typeof v === 'object' && !Array.isArray(v), 'an object'],
+  'personality.tone': [true, isText, 'a non-empty string'],
+  'personality.surface': [false, isText, 'a non-empty string'],
+  'personality.depth': [false, isText, 'a non-empty string'],
+  'personality.voice_rules': [false, isTextList, 'an array of strings'],
+  'personality.voice_markers': [false, isTextList, 'an array of strings'],
+  handle: [false, isText, 'a non-empty string'],
+  domain: [false, isText, 'a non-empty string'],
+  core_principles: [false, isTextList, 'an array of strings'],
+  purpose: [false, isTextList, 'an array of strings'],
+  'nature.not': [false, isTextList, 'an array of strings'],
+};
+
+function pick(object, path) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+// Check a parsed soul file; returns { error } or { soul }
+export function validateSoul(soul) {
+  if (soul === null || typeof soul !== 'object' || Array.isArray(soul)) return { error: 'soul must be a JSON object' };
+  for (const [path, [required, check, description]] of Object.entries(SOUL_RULES)) {
+    const value = pick(soul, path);
+    if (value === undefined) {
+      if (required) return { error: `${path} is required` };
+      continue;
+    }
+    if (!check(value)) return { error: `${path} must be ${description}` };
+  }
+  return { soul };
+}
+
+// "Aqua Prime Oracle" -> "aqua-prime-oracle", as `sbk create-agent` names its directory
+export function personaId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// The system prompt for a validated soul
+export function personaPrompt(soul) {
+  const { personality: p } = soul;
+  const list = (items) => items.map(item => `- ${item}`).join('\n');
+
+  const sections = [
+    `You are ${soul.name}${soul.full_name ? ` (${soul.full_name})` : ''}${soul.handle ? `, ${soul.handle}` : ''}.`,
+    `Tone: ${p.tone}`,
+  ];
+  if (p.surface) sections.push(`Surface: ${p.surface}`);
+  if (p.depth) sections.push(`Depth: ${p.depth}`);
+  if (soul.domain) sections.push(`Domain: ${soul.domain}`);
+  if (p.voice_rules?.length) sections.push(`Voice rules — follow them in every reply:\n${list(p.voice_rules)}`);
+  if (p.voice_markers?.length) sections.push(`Voice markers:\n${list(p.voice_markers)}`);
+  if (soul.core_principles?.length) sections.push(`Principles:\n${list(soul.core_principles)}`);
+  if (soul.purpose?.length) sections.push(`Purpose:\n${list(soul.purpose)}`);
+  if (soul.nature?.not?.length) sections.push(`What you are not:\n${list(soul.nature.not)}`);
+  return sections.join('\n\n');
+}
+
+// A soul path, or an agent directory holding identity/soul.json
+function soulFile(path) {
+  const full = resolve(path);
+  try {
+    return statSync(full).isDirectory() ? join(full, 'identity', 'soul.json') : full;
+  } catch {
+    return full;
+  }
+}
+
+function readSoul(path) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    return { error: err.code === 'ENOENT' ? 'file not found' : `invalid JSON: ${err.message}` };
+  }
+  return validateSoul(parsed);
+}
+
+/**
+ * @param {object} options
+ * @param {() => object} options.configured - current sbk.config.json `personas` map
+ * @param {string} [options.bundled] - the kit's own soul file
+ * @param {string} [options.agentsDir] - directory scanned for <slug>/identity/soul.json
+ */
+export function createPersonas({ configured = () => ({}), bundled = SOUL_PATH, agentsDir = process.cwd() } = {}) {
+  function discover() {
+    const sources = [{ path: bundled, source: 'bundled' }];
+    for (const [id, path] of Object.entries(configured())) {
+      sources.push({ id, path: soulFile(path), source: 'config' });
+    }
+    let entries = [];
+    try {
+      entries = readdirSync(agentsDir, { withFileTypes: true });
+    } catch {}
+    for (const entry of entries) {
+      const path = join(agentsDir, entry.name, 'identity', 'soul.json');
+      if (entry.isDirectory() && !entry.name.startsWith('.') && existsSync(path)) {
+        sources.push({ id: entry.name, path, source: 'agent' });
+      }
+    }
+
+    const personas = new Map();
+    for (const { id: sourceId, path, source } of sources) {
+      const result = readSoul(path);
+      const id = sourceId || (result.soul ? personaId(result.soul.name) : null);
+      if (!id || personas.has(id)) continue;
+      personas.set(id, { id, path, source, ...result });
+    }
+    return personas;
+  }
+
+  // Summaries for GET /personas; invalid souls are listed with their error.
+  // Soul file locations stay on the server
+  function list() {
+    return [...discover().values()].map(({ id, source, soul, error }) => ({
+      id,
+      source,
+      ...(soul ? { name: soul.name } : { error }),
+    }));
+  }
+
+  // Returns { id, name, prompt } or { error }
+  function get(id) {
+    const personas = discover();
+    const persona = personas.get(id);
+    if (!persona) return { error: `Unknown persona: ${id} (any of: ${[...personas.keys()].join(', ') || 'none'})` };
+    if (persona.error) return { error: `Persona ${id} has an invalid soul file: ${persona.error}` };
+    return { id, name: persona.soul.name, prompt: personaPrompt(persona.soul) };
+  }
+
+  return { list, get };
+}
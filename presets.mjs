@@ -0,0 +1,82 @@
+/**
+ * Sovereign Builder Kit — generation options and presets
+ *
+ * Requests may pass Ollama sampling `options` and/or a named `preset`.
+ * Presets are defined per mode; the one called `default` applies when a
+ * request names none. Every mode starts with the built-ins below; a mode's
+ * `presets` in sbk.config.json override or extend them:
+ *
+ *   "modes": {
+ *     "review":  { "presets": { "default": { "temperature": 0, "seed": 42 } } },
+ *     "general": { "presets": { "brainstorm": { "temperature": 1.2, "top_p": 0.95 } } }
+ *   }
+ *
+ * Precedence: mode default < named preset < request options. num_ctx and
+ * num_predict are further clamped to the model's context budget.
+ */
+
+// name -> validator returning an error string, or null when the value is fine
+const OPTION_RULES = {
+  temperature: (v) => typeof v === 'number' && v >= 0 && v <= 2 ? null : 'a number from 0 to 2',
+  top_p: (v) => typeof v === 'number' && v > 0 && v <= 1 ? null : 'a number above 0, at most 1',
+  seed: (v) => Number.isInteger(v) && v >= 0 ? null : 'a non-negative integer',
+  stop: (v) => Array.isArray(v) && v.length <= 8 && v.every(s => typeof s === 'string' && s.length > 0 && s.length <= 64)
+    ? null : 'up to 8 strings of 1-64 characters',
+  num_ctx: (v) => Number.isInteger(v) && v >= 256 && v <= 1_048_576 ? null : 'an integer from 256 to 1048576',
+  num_predict: (v) => Number.isInteger(v) && v >= 1 && v <= 131_072 ? null : 'an integer from 1 to 131072',
+};
+
+export const OPTION_NAMES = Object.keys(OPTION_RULES);
+
+const BUILTIN_PRESETS = {
+  default: { temperature: 0.3 },
+  precise: { temperature: 0, seed: 42 },
+  creative: { temperature: 1, top_p: 0.95 },
+};
+
+// Validate an options object; returns { error } or { options }
+export function validateOptions(options) {
+  if (options === undefined || options === null) return { options: {} };
+  if (typeof options !== 'object' || Array.isArray(options)) return { error: 'options must be an object' };
+
+  const clean = {};
+  for (const [name, value] of Object.entries(options)) {
+    const rule = OPTION_RULES[name];
+    if (!rule) return { error: `Unknown option: ${name} (any of: ${OPTION_NAMES.join(', ')})` };
+    // A single stop string is accepted for convenience
+    const normalized = name === 'stop' && typeof value === 'string' ? [value] : value;
+    const problem = rule(normalized);
+    if (problem) return { error: `options.${name} must be ${problem}` };
+    clean[name] = normalized;
+  }
+  return { options: clean };
+}
+
+// Merge each mode's presets over the built-ins. `modes` is the normalized
+// config's modes map, whose presets are already validated (config.mjs).
+export function createPresets(modes = {}) {
+  const presets = {};
+  for (const [mode, { presets: named = {} }] of Object.entries(modes)) {
+    presets[mode] = { ...structuredClone(BUILTIN_PRESETS), ...named };
+  }
+
+  // Options for a request: mode default < named preset < request options
+  function resolve(mode, { preset, options } = {}) {
+    const named = presets[mode] || presets.general;
+    if (preset !== undefined && !Object.hasOwn(named, preset)) {
+      return { error: `Unknown preset for ${mode}: ${preset} (any of: ${Object.keys(named).join(', ')})` };
+    }
+    const requested = validateOptions(options);
+    if (requested.error) return requested;
+    return {
+      preset: preset || 'default',
+      options: { ...named.default, ...(preset && named[preset]), ...requested.options },
+    };
+  }
+
+  function list() {
+    return structuredClone(presets);
+  }
+
+  return { resolve, list };
+}
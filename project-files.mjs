@@ -0,0 +1,216 @@
+/**
+ * Sovereign Builder Kit — writing generated project files
+ *
+ * Scaffold output comes from a model, so every path is treated as hostile:
+ * absolute paths, `..` segments, `.git/` and anything that would resolve
+ * (or symlink) outside the target directory are rejected before a byte is
+ * written. package.json must parse as a JSON object.
+ *
+ * Existing files are never replaced silently; each gets a decision:
+ *
+ *   overwrite  replace it
+ *   skip       keep it
+ *   merge      JSON: add the generated keys the file lacks (existing values win)
+ *              line lists (.gitignore, .env.example, ...): add missing lines
+ *              anything else: both versions between conflict markers
+ */
+
+import { existsSync, lstatSync, realpathSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { basename, dirname, isAbsolute, join, resolve, sep } from 'node:path';
+
+export const CONFLICT_ACTIONS = ['overwrite', 'skip', 'merge'];
+
+const MAX_PATH = 240;
+const LINE_LIST_FILES = /^\.(gitignore|dockerignore|npmignore|prettierignore|eslintignore|env\.example|env\.sample|nvmrc)$/;
+
+// The shape /scaffold asks the model for (see schema.mjs)
+export const FILES_SCHEMA = {
+  type: 'object',
+  required: ['files'],
+  additionalProperties: false,
+  properties: {
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'content'],
+        additionalProperties: false,
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          content: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+// Apply a model's changed files over a file set (content DELETE removes a file)
+export function applyChanges(files, changes) {
+  const byPath = new Map(files.map(f => [f.path, f]));
+  for (const change of changes) {
+    if (change.content.trim() === 'DELETE') byPath.delete(change.path);
+    else byPath.set(change.path, change);
+  }
+  return [...byPath.values()];
+}
+
+// Why `path` may not be written under a project root, or null when it may
+export function pathProblem(path) {
+  if (typeof path !== 'string' || !path.trim()) return 'empty path';
+  if (path.length > MAX_PATH) return 'path too long';
+  if (path.includes('\0')) return 'NUL in path';
+  const normalized = path.replace(/\\/g, '/');
+  if (isAbsolute(path) || normalized.startsWith('/') || /^[a-z]:/i.test(normalized)) return 'absolute path';
+  const parts = normalized.split('/');
+  if (parts.includes('..')) return 'parent directory (..) in path';
+  if (parts.includes('.git')) return 'writes into .git';
+  if (normalized.endsWith('/')) return 'directory, not a file';
+  return null;
+}
+
+function contentProblem(path, content) {
+  if (typeof content !== 'string') return 'content is not text';
+  if (basename(path) === 'package.json') {
+    try {
+      const pkg = JSON.parse(content);
+      if (pkg === null || typeof pkg !== 'object' || Array.isArray(pkg)) return 'package.json is not a JSON object';
+    } catch (err) {
+      return `package.json is not valid JSON: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Split generated files into ones that may be written and ones that may
+ * not. Paths are normalized (`./src\\a.js` -> `src/a.js`) and contents end
+ * with a newline; the first of two files with the same path wins.
+ */
+export function checkFiles(files) {
+  const safe = [];
+  const rejected = [];
+  const seen = new Set();
+  for (const file of files) {
+    const problem = pathProblem(file.path) || contentProblem(file.path, file.content);
+    if (problem) {
+      rejected.push({ path: String(file.path), reason: problem });
+      continue;
+    }
+    const path = file.path.replace(/\\/g, '/').split('/').filter(p => p && p !== '.').join('/');
+    if (seen.has(path)) {
+      rejected.push({ path, reason: 'duplicate path' });
+      continue;
+    }
+    seen.add(path);
+    safe.push({ path, content: file.content && !file.content.endsWith('\n') ? `${file.content}\n` : file.content });
+  }
+  return { files: safe, rejected };
+}
+
+// The real location of `target`, resolving symlinks of whatever part already exists
+function realTarget(target) {
+  let existing = target;
+  const rest = [];
+  while (!existsSync(existing)) {
+    rest.unshift(basename(existing));
+    existing = dirname(existing);
+  }
+  return join(realpathSync(existing), ...rest);
+}
+
+/**
+ * What writing `files` into `root` would do: one entry per file with
+ * `status` new, same (identical content exists), exists, or rejected
+ * (with `reason`, e.g. a symlink leading outside `root`).
+ */
+export async function planWrites(root, files) {
+  const base = realTarget(resolve(root));
+  const plan = [];
+  for (const file of files) {
+    const target = resolve(root, file.path);
+    const real = realTarget(target);
+    if (!real.startsWith(base + sep)) {
+      plan.push({ ...file, target, status: 'rejected', reason: 'resolves outside the target directory' });
+      continue;
+    }
+    if (!existsSync(target)) {
+      plan.push({ ...file, target, status: 'new' });
+      continue;
+    }
+    if (!lstatSync(target).isFile()) {
+      plan.push({ ...file, target, status: 'rejected', reason: 'exists and is not a regular file' });
+      continue;
+    }
+    const current = await readFile(target, 'utf8');
+    plan.push({ ...file, target, current, status: current === file.content ? 'same' : 'exists' });
+  }
+  return plan;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Generated keys fill gaps in the existing object; existing values always win
+function mergeJson(existing, generated) {
+  const out = { ...existing };
+  for (const [key, value] of Object.entries(generated)) {
+    if (!(key in out)) out[key] = value;
+    else if (isPlainObject(out[key]) && isPlainObject(value)) out[key] = mergeJson(out[key], value);
+  }
+  return out;
+}
+
+export function mergeContent(path, current, generated) {
+  if (path.endsWith('.json')) {
+    try {
+      const a = JSON.parse(current);
+      const b = JSON.parse(generated);
+      if (isPlainObject(a) && isPlainObject(b)) return JSON.stringify(mergeJson(a, b), null, 2) + '\n';
+    } catch {}
+  }
+  if (LINE_LIST_FILES.test(basename(path))) {
+    const lines = current.replace(/\n$/, '').split('\n');
+    const missing = generated.split('\n').filter(line => line.trim() && !lines.includes(line));
+    return [...lines, ...missing].join('\n') + '\n';
+  }
+  return `<<<<<<< existing\n${current.replace(/\n$/, '')}\n=======\n${generated.replace(/\n$/, '')}\n>>>>>>> generated\n`;
+}
+
+/**
+ * Carry out a plan from planWrites. `decide(entry)` is asked for every
+ * `exists` entry and returns one of CONFLICT_ACTIONS. Returns the entries
+ * with the `action` taken: created, overwritten, merged, skipped, unchanged
+ * or rejected.
+ */
+export async function writePlan(plan, decide) {
+  const results = [];
+  for (const entry of plan) {
+    if (entry.status === 'rejected') {
+      results.push({ path: entry.path, action: 'rejected', reason: entry.reason });
+      continue;
+    }
+    if (entry.status === 'same') {
+      results.push({ path: entry.path, action: 'unchanged' });
+      continue;
+    }
+
+    let content = entry.content;
+    let action = 'created';
+    if (entry.status === 'exists') {
+      const choice = await decide(entry);
+      if (choice === 'skip') {
+        results.push({ path: entry.path, action: 'skipped' });
+        continue;
+      }
+      action = choice === 'merge' ? 'merged' : 'overwritten';
+      if (choice === 'merge') content = mergeContent(entry.path, entry.current, entry.content);
+    }
+
+    await mkdir(dirname(entry.target), { recursive: true });
+    await writeFile(entry.target, content);
+    results.push({ path: entry.path, action });
+  }
+  return results;
+}
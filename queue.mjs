@@ -0,0 +1,157 @@
+/**
+ * Sovereign Builder Kit — model job queue
+ *
+ * A CPU-only box runs one or two generations well and ten badly, so every
+ * Ollama call goes through here. At most `concurrency` jobs run at once; the
+ * rest wait in a bounded queue that is served round-robin by owner (wallet,
+ * or client address when anonymous), so one busy teammate can't starve the
+ * others. Each job gets an AbortSignal: aborting it while queued drops the
+ * job, aborting it while running is passed on to the Ollama fetch.
+ */
+
+import crypto from 'node:crypto';
+
+export const DEFAULT_CONCURRENCY = 1;
+export const DEFAULT_MAX_QUEUED = 32;
+export const DEFAULT_MAX_PER_OWNER = 4;
+
+function queueError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+export function createJobQueue({
+  concurrency = DEFAULT_CONCURRENCY,
+  maxQueued = DEFAULT_MAX_QUEUED,
+  maxPerOwner = DEFAULT_MAX_PER_OWNER,
+} = {}) {
+  const pending = new Map();  // owner -> [job, ...] in arrival order
+  const owners = [];          // round-robin rotation of owners with pending jobs
+  const running = new Set();
+
+  function queuedCount() {
+    let count = 0;
+    for (const jobs of pending.values()) count += jobs.length;
+    return count;
+  }
+
+  // The order jobs will start in: one per owner per round
+  function order() {
+    const lanes = owners.map(owner => [...pending.get(owner)]);
+    const result = [];
+    while (lanes.some(lane => lane.length)) {
+      for (const lane of lanes) if (lane.length) result.push(lane.shift());
+    }
+    return result;
+  }
+
+  function notifyPositions() {
+    order().forEach((job, i) => {
+      if (job.position !== i + 1) {
+        job.position = i + 1;
+        job.onPosition?.(job.position);
+      }
+    });
+  }
+
+  function unqueue(job) {
+    const jobs = pending.get(job.owner);
+    jobs.splice(jobs.indexOf(job), 1);
+    if (!jobs.length) {
+      pending.delete(job.owner);
+      owners.splice(owners.indexOf(job.owner), 1);
+    }
+  }
+
+  function start(job) {
+    job.position = 0;
+    job.startedAt = Date.now();
+    running.add(job);
+    Promise.resolve()
+      .then(() => job.fn(job.controller.signal))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        running.delete(job);
+        job.signal?.removeEventListener('abort', job.onAbort);
+        pump();
+      });
+  }
+
+  function pump() {
+    while (running.size < concurrency && owners.length) {
+      const owner = owners.shift();
+      const job = pending.get(owner).shift();
+      if (pending.get(owner).length) owners.push(owner);
+      else pending.delete(owner);
+      start(job);
+    }
+    notifyPositions();
+  }
+
+  /**
+   * Run `fn(signal)` when a slot frees up. `signal` is the caller's abort
+   * signal (e.g. client disconnect); `onPosition(n)` fires whenever the
+   * job's place in line changes. Rejects with `status` 429/503 when the
+   * owner's or the global queue is full.
+   */
+  function run(owner, fn, { signal, onPosition, route } = {}) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    const mine = pending.get(owner)?.length || 0;
+    if (running.size >= concurrency || owners.length) {
+      if (queuedCount() >= maxQueued) {
+        return Promise.reject(queueError(`Queue full (${maxQueued} waiting), try again shortly`, 503));
+      }
+      if (mine >= maxPerOwner) {
+        return Promise.reject(queueError(`Too many queued requests (max ${maxPerOwner} per caller)`, 429));
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const controller = new AbortController();
+      const job = {
+        id: crypto.randomBytes(6).toString('hex'),
+        owner, fn, route, signal, onPosition, resolve, reject, controller,
+        enqueuedAt: Date.now(),
+        position: null,
+      };
+
+      // Queued: drop the job. Running: hand the abort to fn's signal.
+      job.onAbort = () => {
+        controller.abort(signal.reason);
+        if (running.has(job)) return;
+        unqueue(job);
+        reject(signal.reason);
+        notifyPositions();
+      };
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+
+      if (!pending.has(owner)) {
+        pending.set(owner, []);
+        owners.push(owner);
+      }
+      pending.get(owner).push(job);
+      pump();
+    });
+  }
+
+  // Snapshot for GET /queue; only `owner`'s own jobs are itemized
+  function status(owner) {
+    const now = Date.now();
+    const describe = (job) => ({
+      id: job.id,
+      route: job.route,
+      state: running.has(job) ? 'running' : 'queued',
+      position: job.position,
+      waitingMs: (job.startedAt || now) - job.enqueuedAt,
+    });
+    return {
+      concurrency,
+      maxQueued,
+      running: running.size,
+      queued: queuedCount(),
+      yours: [...running, ...order()].filter(job => job.owner === owner).map(describe),
+    };
+  }
+
+  return { run, status };
+}
@@ -0,0 +1,318 @@
+/**
+ * Sovereign Builder Kit — local codebase index
+ *
+ * `sbk index <dir>` splits a repo's source files into overlapping line
+ * chunks, embeds them with the local Ollama embedding model and stores the
+ * vectors under ~/.sbk/indexes/<name>/ (index.json + vectors.bin). Chat
+ * requests with `context: { index, topK }` embed the question the same way
+ * and get the closest chunks as cited excerpts. Nothing leaves the machine.
+ *
+ * Files come from `git ls-files` when the directory is a git checkout, else
+ * from a walk that honours .gitignore files. Binary, oversized and lock
+ * files are skipped. Re-indexing only embeds files whose content changed.
+ */
+
+import crypto from 'node:crypto';
+import { execFile } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { mkdir, readdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { basename, join, relative, resolve, sep } from 'node:path';
+import { promisify } from 'node:util';
+import { SBK_HOME } from './auth-store.mjs';
+
+const NAME_PATTERN = /^[a-z0-9][\w.-]{0,63}$/i;
+const MAX_FILE_BYTES = 256 * 1024;
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 8;
+const CHUNK_CHARS = 2000;
+const EMBED_BATCH = 32;
+const ALWAYS_SKIP = new Set(['.git', 'node_modules', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb']);
+
+export const DEFAULT_TOP_K = 5;
+export const MAX_TOP_K = 20;
+
+export function isIndexName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+// "My Repo" -> "my-repo"; the default index name for a directory
+export function indexNameFor(dir) {
+  return basename(resolve(dir)).toLowerCase().replace(/[^\w.-]+/g, '-').replace(/^[^a-z0-9]+/, '') || 'index';
+}
+
+// ── File discovery ─────────────────────────────────────────────────
+
+// One .gitignore line -> { negate, dirOnly, test(relPath) }, or null
+function gitignoreRule(line, base) {
+  let pattern = line.replace(/\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  const dirOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  const source = pattern.split(/(\*\*\/|\*\*|\*|\?)/).map(part => {
+    if (part === '**/') return '(?:.*/)?';
+    if (part === '**') return '.*';
+    if (part === '*') return '[^/]*';
+    if (part === '?') return '[^/]';
+    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  const regex = new RegExp(`^${source}$`);
+  const prefix = base ? `${base}/` : '';
+
+  return {
+    negate,
+    dirOnly,
+    test(rel) {
+      if (!rel.startsWith(prefix)) return false;
+      const inner = rel.slice(prefix.length);
+      return anchored ? regex.test(inner) : regex.test(inner.split('/').pop());
+    },
+  };
+}
+
+async function walk(root) {
+  const files = [];
+
+  async function visit(dir, rules) {
+    const rel = relative(root, dir).split(sep).join('/');
+    let own = [];
+    try {
+      const text = await readFile(join(dir, '.gitignore'), 'utf8');
+      own = text.split('\n').map(line => gitignoreRule(line, rel)).filter(Boolean);
+    } catch {}
+    const active = [...rules, ...own];
+
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      if (ALWAYS_SKIP.has(entry.name) || entry.isSymbolicLink()) continue;
+      const path = rel ? `${rel}/${entry.name}` : entry.name;
+      const isDir = entry.isDirectory();
+      // Last matching rule wins, as in git
+      let ignored = false;
+      for (const rule of active) {
+        if ((!rule.dirOnly || isDir) && rule.test(path)) ignored = !rule.negate;
+      }
+      if (ignored) continue;
+      if (isDir) await visit(join(dir, entry.name), active);
+      else if (entry.isFile()) files.push(path);
+    }
+  }
+
+  await visit(root, []);
+  return files;
+}
+
+// Repo-relative paths of the files worth indexing under `root`
+export async function listSourceFiles(root) {
+  try {
+    const { stdout } = await promisify(execFile)(
+      'git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'],
+      { cwd: root, maxBuffer: 64 * 1024 * 1024 },
+    );
+    return stdout.split('\0')
+      .filter(Boolean)
+      .filter(path => !path.split('/').some(part => ALWAYS_SKIP.has(part)));
+  } catch {
+    return walk(root);
+  }
+}
+
+// ── Chunking ───────────────────────────────────────────────────────
+
+// Overlapping windows of CHUNK_LINES lines (fewer when lines are long)
+export function chunkText(file, text) {
+  const lines = text.replace(/\n$/, '').split('\n');
+  const chunks = [];
+  let start = 0;
+  while (start < lines.length) {
+    let end = start;
+    let chars = 0;
+    while (end < lines.length && end - start < CHUNK_LINES && (chars === 0 || chars + lines[end].length <= CHUNK_CHARS)) {
+      chars += lines[end].length + 1;
+      end++;
+    }
+    // Sources cite the lines the model sees, so endLine follows any truncation
+    const body = lines.slice(start, end).join('\n').slice(0, CHUNK_CHARS);
+    if (body.trim()) {
+      chunks.push({ file, startLine: start + 1, endLine: start + body.replace(/\n$/, '').split('\n').length, text: body });
+    }
+    if (end >= lines.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+  return chunks;
+}
+
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (const v of out) norm += v * v;
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+// ── Store ──────────────────────────────────────────────────────────
+
+export function createIndexStore(dir = join(SBK_HOME, 'indexes')) {
+  const cache = new Map(); // name -> { mtimeMs, index }
+
+  const dirFor = (name) => join(dir, name);
+
+  function has(name) {
+    return isIndexName(name) && existsSync(join(dirFor(name), 'index.json'));
+  }
+
+  // { meta, chunks, vectors } or null; reloaded when the index is rebuilt
+  async function load(name) {
+    if (!isIndexName(name)) return null;
+    const metaPath = join(dirFor(name), 'index.json');
+    let info;
+    try {
+      info = await stat(metaPath);
+    } catch {
+      return null;
+    }
+    const cached = cache.get(name);
+    if (cached && cached.mtimeMs === info.mtimeMs) return cached.index;
+
+    const { chunks, ...meta } = JSON.parse(await readFile(metaPath, 'utf8'));
+    const raw = await readFile(join(dirFor(name), 'vectors.bin'));
+    const vectors = new Float32Array(raw.buffer.slice(raw.byteOffset, raw.byteOffset + raw.byteLength));
+    const index = { meta, chunks, vectors };
+    cache.set(name, { mtimeMs: info.mtimeMs, index });
+    return index;
+  }
+
+  async function list() {
+    let names = [];
+    try {
+      names = await readdir(dir);
+    } catch {}
+    const out = [];
+    for (const name of names.sort()) {
+      const index = await load(name).catch(() => null);
+      if (!index) continue;
+      const { root, model, dimensions, updatedAt, files } = index.meta;
+      out.push({ name, root, model, dimensions, updatedAt, files: Object.keys(files).length, chunks: index.chunks.length });
+    }
+    return out;
+  }
+
+  /**
+   * Index `root`. `embed(texts)` returns one vector per text (Ollama /api/embed);
+   * `onProgress({ done, total })` fires after each embedding batch.
+   */
+  async function build(root, { name = indexNameFor(root), model, embed, onProgress = () => {} }) {
+    if (!isIndexName(name)) throw new Error(`Invalid index name: ${name}`);
+    root = resolve(root);
+
+    // Vectors of unchanged files are reused when the embedding model is the same
+    const previous = await load(name).catch(() => null);
+    const reusable = new Map(); // file -> [{ chunk, vector }]
+    if (previous && previous.meta.model === model) {
+      const { dimensions } = previous.meta;
+      previous.chunks.forEach((chunk, i) => {
+        if (!reusable.has(chunk.file)) reusable.set(chunk.file, []);
+        reusable.get(chunk.file).push({ chunk, vector: previous.vectors.subarray(i * dimensions, (i + 1) * dimensions) });
+      });
+    }
+
+    const files = {};
+    const entries = [];  // { chunk, vector? }
+    let skipped = 0;
+    for (const file of await listSourceFiles(root)) {
+      let buffer;
+      try {
+        if ((await stat(join(root, file))).size > MAX_FILE_BYTES) { skipped++; continue; }
+        buffer = await readFile(join(root, file));
+      } catch {
+        continue; // deleted since git listed it
+      }
+      if (buffer.subarray(0, 8192).includes(0)) { skipped++; continue; }
+
+      const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+      const unchanged = previous?.meta.files[file]?.hash === hash && reusable.has(file);
+      const fileEntries = unchanged ? reusable.get(file) : chunkText(file, buffer.toString('utf8')).map(chunk => ({ chunk }));
+      files[file] = { hash, chunks: fileEntries.length };
+      entries.push(...fileEntries);
+    }
+
+    const pending = entries.filter(entry => !entry.vector);
+    for (let i = 0; i < pending.length; i += EMBED_BATCH) {
+      const batch = pending.slice(i, i + EMBED_BATCH);
+      const vectors = await embed(batch.map(({ chunk }) => `${chunk.file}\n${chunk.text}`));
+      if (vectors.length !== batch.length) throw new Error('Embedding model returned the wrong number of vectors');
+      batch.forEach((entry, j) => { entry.vector = normalize(vectors[j]); });
+      onProgress({ done: Math.min(i + EMBED_BATCH, pending.length), total: pending.length });
+    }
+
+    const dimensions = entries[0]?.vector.length || 0;
+    const vectors = new Float32Array(entries.length * dimensions);
+    entries.forEach((entry, i) => vectors.set(entry.vector, i * dimensions));
+
+    const now = new Date().toISOString();
+    const meta = {
+      version: 1,
+      name,
+      root,
+      model,
+      dimensions,
+      createdAt: previous?.meta.createdAt || now,
+      updatedAt: now,
+      files,
+    };
+
+    // Write both files beside the old ones, then swap them in
+    const target = dirFor(name);
+    await mkdir(target, { recursive: true, mode: 0o700 });
+    const tmp = `.${process.pid}.tmp`;
+    await writeFile(join(target, `vectors.bin${tmp}`), Buffer.from(vectors.buffer));
+    await writeFile(join(target, `index.json${tmp}`), JSON.stringify({ ...meta, chunks: entries.map(e => e.chunk) }) + '\n');
+    await rename(join(target, `vectors.bin${tmp}`), join(target, 'vectors.bin'));
+    await rename(join(target, `index.json${tmp}`), join(target, 'index.json'));
+    cache.delete(name);
+
+    return {
+      name,
+      root,
+      model,
+      files: Object.keys(files).length,
+      chunks: entries.length,
+      embedded: pending.length,
+      reused: entries.length - pending.length,
+      skipped,
+    };
+  }
+
+  // The `topK` chunks closest to `query` (an unnormalized embedding)
+  function search(index, query, topK = DEFAULT_TOP_K) {
+    const q = normalize(query);
+    const { dimensions } = index.meta;
+    if (q.length !== dimensions) throw new Error(`Query embedding has ${q.length} dimensions, index has ${dimensions}`);
+
+    const scored = index.chunks.map((chunk, i) => {
+      let score = 0;
+      const offset = i * dimensions;
+      for (let d = 0; d < dimensions; d++) score += q[d] * index.vectors[offset + d];
+      return { ...chunk, score };
+    });
+    return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+
+  return { has, load, list, build, search };
+}
+
+// Retrieved chunks as a system-prompt section, with line numbers to cite
+export function formatExcerpts(indexName, hits) {
+  const blocks = hits.map(hit => {
+    const numbered = hit.text.split('\n').map((line, i) => `${hit.startLine + i}| ${line}`).join('\n');
+    return `[${hit.file}:${hit.startLine}-${hit.endLine}]\n${numbered}`;
+  });
+  return `Excerpts from the local "${indexName}" codebase index, most relevant first. `
+    + 'Base your answer on them where they apply and cite the lines you rely on as path:line '
+    + '(for example src/app.js:42). If they do not answer the question, say so.\n\n'
+    + blocks.join('\n\n');
+}
@@ -0,0 +1,124 @@
+/**
+ * Sovereign Builder Kit — review attachments and findings
+ *
+ * /chat accepts `files: [{ path, content }]` and a unified `diff` next to
+ * the message. They are appended to it with line numbers (new-file numbers
+ * for diffs) so the model can point at real locations, and review-mode
+ * answers are parsed back into `findings: [{ file, line, severity, issue, fix }]`.
+ */
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+// Shared with `sbk review`, which stops listing files at the same count
+export const MAX_FILES = 50;
+const MAX_ATTACHMENT_CHARS = 400_000;
+
+function numberLines(content, first = 1) {
+  const lines = content.replace(/\n$/, '').split('\n');
+  const width = String(first + lines.length - 1).length;
+  return lines.map((line, i) => `${String(first + i).padStart(width)}| ${line}`).join('\n');
+}
+
+// Prefix kept and added lines with their line number in the new file
+export function numberDiff(diff) {
+  const paths = [];
+  let line = 0;
+  const out = diff.replace(/\n$/, '').split('\n').map(text => {
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(text);
+    if (hunk) {
+      line = Number(hunk[1]);
+      return text;
+    }
+    const target = /^\+\+\+ (?:b\/)?(.+?)\s*$/.exec(text);
+    if (target) {
+      if (target[1] !== '/dev/null') paths.push(target[1]);
+      return text;
+    }
+    if (!line || text.startsWith('---') || text.startsWith('diff ') || text.startsWith('index ')) return text;
+    if (text.startsWith('-')) return `     ${text}`;
+    if (text.startsWith('+') || text.startsWith(' ')) return `${String(line++).padStart(4)} ${text}`;
+    return text;
+  });
+  return { text: out.join('\n'), paths };
+}
+
+/**
+ * Validate `files` and `diff` from a request and render them for the
+ * prompt. Returns { error } or { text, paths } (text is '' when neither is set).
+ */
+export function prepareAttachments({ files, diff }) {
+  const sections = [];
+  const paths = [];
+  let size = 0;
+
+  if (files !== undefined) {
+    if (!Array.isArray(files) || files.length > MAX_FILES) return { error: `files must be an array of up to ${MAX_FILES} { path, content } objects` };
+    for (const [i, file] of files.entries()) {
+      if (typeof file?.path !== 'string' || !file.path.trim() || file.path.length > 300) return { error: `files[${i}].path must be a non-empty string` };
+      if (typeof file.content !== 'string') return { error: `files[${i}].content must be a string` };
+      size += file.content.length;
+      paths.push(file.path);
+      sections.push(`File: ${file.path}\n\`\`\`\n${numberLines(file.content)}\n\`\`\``);
+    }
+  }
+
+  if (diff !== undefined) {
+    if (typeof diff !== 'string' || !/^@@ /m.test(diff)) return { error: 'diff must be a unified diff (with @@ hunk headers)' };
+    size += diff.length;
+    const numbered = numberDiff(diff);
+    paths.push(...numbered.paths);
+    sections.push(`Diff (new-file line numbers on the left):\n\`\`\`diff\n${numbered.text}\n\`\`\``);
+  }
+
+  if (size > MAX_ATTACHMENT_CHARS) return { error: `Attachments are too large (${size} characters, max ${MAX_ATTACHMENT_CHARS})` };
+  return { text: sections.join('\n\n'), paths };
+}
+
+// A finding's path as attached: "server.mjs" -> "src/server.mjs" when that is what was sent
+function matchPath(file, paths) {
+  if (!paths.length || paths.includes(file)) return file;
+  return paths.find(p => p.endsWith(`/${file}`)) || file;
+}
+
+/**
+ * Parse "[severity] path:line — issue — fix" lines (bullets, bold and
+ * backticks tolerated) into findings. Lines that don't look like a finding
+ * are ignored; a missing severity is `medium`.
+ */
+export function parseFindings(text, paths = []) {
+  const findings = [];
+  const severity = new RegExp(`\\[?\\b(${SEVERITIES.join('|')})\\b\\]?:?`, 'i');
+
+  for (const raw of String(text || '').split('\n')) {
+    let line = raw.replace(/[*`]/g, '').replace(/^\s*(?:[-•>]|\d+[.)])\s*/, '').trim();
+
+    // Severity may lead the line or follow the location
+    let level = 'medium';
+    const lead = severity.exec(line);
+    if (lead && lead.index === 0) {
+      level = lead[1].toLowerCase();
+      line = line.slice(lead[0].length).trim();
+    }
+
+    const location = /^([\w./@-]+\.[\w]+|[\w./@-]+\/[\w.@-]+):(\d+)(?:[-:]\d+)?\s*(.*)$/.exec(line);
+    if (!location) continue;
+    let rest = location[3].replace(/^[—–:-]+\s*/, '');
+
+    const tagged = severity.exec(rest);
+    if (tagged && tagged.index === 0) {
+      level = tagged[1].toLowerCase();
+      rest = rest.slice(tagged[0].length).replace(/^\s*[—–:-]*\s*/, '');
+    }
+
+    const [issue, ...fix] = rest.split(/\s+[—–]\s+|\s+-\s+|\s*\bfix:\s*/i);
+    if (!issue?.trim()) continue;
+    findings.push({
+      file: matchPath(location[1], paths),
+      line: Number(location[2]),
+      severity: level,
+      issue: issue.trim(),
+      fix: fix.map(part => part.trim()).filter(Boolean).join(' — ') || null,
+    });
+  }
+  return findings;
+}
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Sovereign Builder Kit — project templates
+ *
+ * A template is a directory:
+ *
+ *   <id>/template.json   { title, description, prompt?, next? }
+ *   <id>/files/...       the starter project
+ *
+ * `{{name}}` (package name) and `{{title}}` (display name) are replaced in
+ * file contents and paths; nothing else is touched, so JSX `{{ }}` survives.
+ * `_gitignore`, `_env.example` and similar become dotfiles, because npm
+ * drops .gitignore files when publishing. `prompt` tells the model how to
+ * extend the starter when /scaffold customizes it; `next` lists the commands
+ * to run after `sbk new`.
+ *
+ * Built-in templates live in ./templates (vanilla, express, react, foundry).
+ * User templates are read from SBK_TEMPLATES or ~/.sbk/templates and replace
+ * a built-in with the same id. Directories are read on every lookup.
+ *
+ * Run directly (`npm run new`, `sbk new`) to create a project with no model:
+ *
+ *   node scaffold.mjs <template> <name> [--out <dir>]
+ *   node scaffold.mjs --list
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SBK_HOME } from './auth-store.mjs';
+import { checkFiles, planWrites, writePlan } from './project-files.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const BUILTIN_TEMPLATES_DIR = join(__dirname, 'templates');
+export const USER_TEMPLATES_DIR = process.env.SBK_TEMPLATES || join(SBK_HOME, 'templates');
+export const DEFAULT_TEMPLATE = 'vanilla';
+
+const MAX_FILES = 200;
+const MAX_TOTAL_CHARS = 2_000_000;
+const PLACEHOLDER = /\{\{\s*(name|title)\s*\}\}/g;
+const DOTFILE = /^_((?:git|npm|docker|prettier|eslint)ignore|gitattributes|npmrc|nvmrc|editorconfig|env(?:\.[\w.-]+)?)$/;
+
+export function isTemplateId(id) {
+  return typeof id === 'string' && /^[a-z0-9][\w-]{0,63}$/.test(id);
+}
+
+// "My DApp" -> { name: 'my-dapp', title: 'My DApp' }; returns { error } for unusable input
+export function projectNames(input) {
+  const title = String(input ?? '').trim();
+  if (!/^[A-Za-z0-9][A-Za-z0-9 ._-]{0,63}$/.test(title)) {
+    return { error: 'name must start with a letter or digit and use only letters, digits, spaces, dots, dashes and underscores (max 64)' };
+  }
+  const name = title.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/-+$/, '');
+  return { name, title };
+}
+
+// template.json fields -> [required, check, description]
+const META_RULES = {
+  title: [true, (v) => typeof v === 'string' && v.trim(), 'a non-empty string'],
+  description: [true, (v) => typeof v === 'string' && v.trim(), 'a non-empty string'],
+  prompt: [false, (v) => typeof v === 'string', 'a string'],
+  next: [false, (v) => Array.isArray(v) && v.every(s => typeof s === 'string'), 'an array of strings'],
+};
+
+function readMeta(dir) {
+  let meta;
+  try {
+    meta = JSON.parse(readFileSync(join(dir, 'template.json'), 'utf8'));
+  } catch (err) {
+    return { error: err.code === 'ENOENT' ? 'template.json not found' : `template.json: ${err.message}` };
+  }
+  if (meta === null || typeof meta !== 'object' || Array.isArray(meta)) return { error: 'template.json must be a JSON object' };
+  for (const [key, [required, check, description]] of Object.entries(META_RULES)) {
+    if (meta[key] === undefined) {
+      if (required) return { error: `template.json: ${key} is required` };
+    } else if (!check(meta[key])) {
+      return { error: `template.json: ${key} must be ${description}` };
+    }
+  }
+  return { title: meta.title, description: meta.description, prompt: meta.prompt || '', next: meta.next || [] };
+}
+
+// Every regular file under files/, as { path, content } with /-separated paths
+function readFiles(root) {
+  const files = [];
+  let size = 0;
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const full = join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile()) {
+        if (files.length >= MAX_FILES) throw new Error(`more than ${MAX_FILES} files`);
+        const content = readFileSync(full, 'utf8');
+        size += content.length;
+        if (size > MAX_TOTAL_CHARS) throw new Error(`files exceed ${MAX_TOTAL_CHARS} characters`);
+        files.push({ path: relative(root, full).split('\\').join('/'), content });
+      }
+    }
+  };
+  walk(root);
+  return files;
+}
+
+// The starter files with placeholders filled in and dotfile names restored
+export function renderTemplate(template, vars) {
+  const fill = (text) => text.replace(PLACEHOLDER, (match, key) => vars[key] ?? match);
+  return template.files.map(({ path, content }) => {
+    const parts = fill(path).split('/');
+    parts.push(parts.pop().replace(DOTFILE, '.$1'));
+    return { path: parts.join('/'), content: fill(content) };
+  });
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.builtin] - the kit's own templates
+ * @param {string} [options.user] - user templates; an id here replaces the built-in
+ */
+export function createTemplates({ builtin = BUILTIN_TEMPLATES_DIR, user = USER_TEMPLATES_DIR } = {}) {
+  function discover() {
+    const templates = new Map();
+    for (const [root, source] of [[builtin, 'builtin'], [user, 'user']]) {
+      let entries = [];
+      try {
+        entries = readdirSync(root, { withFileTypes: true });
+      } catch {}
+      for (const entry of entries) {
+        if (entry.isDirectory() && isTemplateId(entry.name)) {
+          templates.set(entry.name, { id: entry.name, source, dir: join(root, entry.name) });
+        }
+      }
+    }
+    return templates;
+  }
+
+  // Summaries for GET /templates and `sbk new --list`; broken templates carry `error`
+  function list() {
+    return [...discover().values()].map(({ id, source, dir }) => {
+      const meta = readMeta(dir);
+      return meta.error
+        ? { id, source, error: meta.error }
+        : { id, source, title: meta.title, description: meta.description };
+    });
+  }
+
+  function has(id) {
+    return discover().has(id);
+  }
+
+  // Returns { id, source, title, description, prompt, next, files } or { error }
+  function get(id) {
+    const templates = discover();
+    const template = templates.get(id);
+    if (!template) return { error: `Unknown template: ${id} (any of: ${[...templates.keys()].join(', ') || 'none'})` };
+
+    const meta = readMeta(template.dir);
+    if (meta.error) return { error: `Template ${id} is invalid: ${meta.error}` };
+    let files;
+    try {
+      files = readFiles(join(template.dir, 'files'));
+    } catch (err) {
+      return { error: `Template ${id} is invalid: ${err.code === 'ENOENT' ? 'files/ not found' : err.message}` };
+    }
+    if (!files.length) return { error: `Template ${id} is invalid: files/ is empty` };
+    return { id, source: template.source, ...meta, files };
+  }
+
+  return { list, has, get };
+}
+
+// ── CLI: create a project from a template, offline ────────────────
+
+const c = {
+  green: (s) => `\x1b[32m${s}\x1b[0m`,
+  red: (s) => `\x1b[31m${s}\x1b[0m`,
+  yellow: (s) => `\x1b[33m${s}\x1b[0m`,
+  cyan: (s) => `\x1b[36m${s}\x1b[0m`,
+  dim: (s) => `\x1b[2m${s}\x1b[0m`,
+  bold: (s) => `\x1b[1m${s}\x1b[0m`,
+};
+
+function printTemplates(templates) {
+  console.log(c.bold('\n  Templates\n'));
+  for (const t of templates.list()) {
+    const origin = t.source === 'user' ? c.dim(' (user)') : '';
+    if (t.error) console.log(`  ${c.red(t.id.padEnd(12))} ${c.red(t.error)}${origin}`);
+    else console.log(`  ${c.green(t.id.padEnd(12))} ${t.title}${origin}\n  ${' '.repeat(12)} ${c.dim(t.description)}`);
+  }
+  console.log(c.dim(`\n  Your own: ${USER_TEMPLATES_DIR}/<id>/template.json + files/`));
+  console.log(c.dim('  Create one: sbk new <template> <name>\n'));
+}
+
+async function main(argv) {
+  const templates = createTemplates();
+  const outIdx = argv.indexOf('--out');
+  const out = outIdx !== -1 ? argv[outIdx + 1] : null;
+  const [id, ...nameParts] = argv.filter((arg, i) => !arg.startsWith('--') && (outIdx === -1 || i !== outIdx + 1));
+
+  if (!id || argv.includes('--list')) {
+    printTemplates(templates);
+    return;
+  }
+
+  const template = templates.get(id);
+  if (template.error) {
+    console.log(c.red(`  ${template.error}`));
+    process.exit(1);
+  }
+  const names = projectNames(nameParts.join(' '));
+  if (names.error) {
+    console.log(c.red(`  Usage: sbk new <template> <name> [--out <dir>]`));
+    console.log(c.red(`  ${nameParts.length ? names.error : 'name required'}`));
+    process.exit(1);
+  }
+
+  const dir = resolve(out || names.name);
+  if (existsSync(dir) && readdirSync(dir).length) {
+    console.log(c.red(`  ${relative(process.cwd(), dir) || '.'}/ already exists and is not empty.`));
+    process.exit(1);
+  }
+
+  const { files, rejected } = checkFiles(renderTemplate(template, names));
+  for (const file of rejected) console.log(c.yellow(`  ! ${file.path} — not written: ${file.reason}`));
+  const results = await writePlan(await planWrites(dir, files), () => 'skip');
+  const created = results.filter(r => r.action === 'created');
+
+  const shown = relative(process.cwd(), dir) || '.';
+  console.log(c.green(`\n  Created ${names.title} from ${template.title} — ${created.length} files in ${shown}/\n`));
+  for (const { path } of created) console.log(`  ${c.cyan(path)}`);
+  console.log(`\n  ${c.cyan('Next:')}`);
+  if (shown !== '.') console.log(`    cd ${shown}`);
+  for (const step of template.next) console.log(`    ${step}`);
+  console.log('');
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  await main(process.argv.slice(2));
+}
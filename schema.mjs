@@ -0,0 +1,188 @@
+/**
+ * Sovereign Builder Kit — structured JSON output
+ *
+ * A request's `schema` (JSON Schema) is passed to Ollama as `format`, which
+ * constrains generation, and the answer is validated here before it is
+ * returned as `json`. Local models still slip — output cut off at the token
+ * limit, a required field left out — so a failing answer goes back to the
+ * model with the validation errors for another try.
+ *
+ * Validation covers the keywords that describe data: type, enum, const,
+ * properties, required, additionalProperties, items, minItems, maxItems,
+ * minLength, maxLength, pattern, minimum, maximum, anyOf, oneOf and allOf.
+ * Annotations (title, description, default, examples, format, $schema,
+ * $id, $comment) are ignored. Anything else, $ref included, is refused up
+ * front rather than silently left unchecked.
+ */
+
+export const MAX_SCHEMA_ATTEMPTS = 3;
+
+const MAX_SCHEMA_CHARS = 20_000;
+const MAX_ERRORS = 10;
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const ANNOTATIONS = new Set(['title', 'description', 'default', 'examples', 'format', '$schema', '$id', '$comment']);
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isSchema = (v) => typeof v === 'boolean' || isObject(v);
+
+// keyword -> [check, description]; subschemas are checked recursively in schemaProblem
+const KEYWORDS = {
+  type: [(v) => [].concat(v).length > 0 && [].concat(v).every(t => TYPES.includes(t)), `one of ${TYPES.join(', ')} (or a list of them)`],
+  enum: [(v) => Array.isArray(v) && v.length > 0, 'a non-empty array'],
+  const: [() => true, ''],
+  properties: [(v) => isObject(v) && Object.values(v).every(isSchema), 'an object of schemas'],
+  required: [(v) => Array.isArray(v) && v.every(k => typeof k === 'string'), 'an array of strings'],
+  additionalProperties: [isSchema, 'a boolean or a schema'],
+  items: [isSchema, 'a schema'],
+  minItems: [isCount, 'a non-negative integer'],
+  maxItems: [isCount, 'a non-negative integer'],
+  minLength: [isCount, 'a non-negative integer'],
+  maxLength: [isCount, 'a non-negative integer'],
+  pattern: [(v) => typeof v === 'string' && compiles(v), 'a valid regular expression'],
+  minimum: [(v) => typeof v === 'number', 'a number'],
+  maximum: [(v) => typeof v === 'number', 'a number'],
+  anyOf: [(v) => Array.isArray(v) && v.length > 0 && v.every(isSchema), 'a non-empty array of schemas'],
+  oneOf: [(v) => Array.isArray(v) && v.length > 0 && v.every(isSchema), 'a non-empty array of schemas'],
+  allOf: [(v) => Array.isArray(v) && v.length > 0 && v.every(isSchema), 'a non-empty array of schemas'],
+};
+
+function compiles(pattern) {
+  try {
+    new RegExp(pattern, 'u');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function schemaProblem(schema, at) {
+  if (typeof schema === 'boolean') return null;
+  for (const [key, value] of Object.entries(schema)) {
+    if (ANNOTATIONS.has(key)) continue;
+    if (!KEYWORDS[key]) return `${at}.${key} is not supported (supported: ${Object.keys(KEYWORDS).join(', ')})`;
+    const [check, description] = KEYWORDS[key];
+    if (!check(value)) return `${at}.${key} must be ${description}`;
+  }
+  const children = [
+    ...Object.entries(schema.properties || {}).map(([key, sub]) => [sub, `${at}.properties.${key}`]),
+    ...['additionalProperties', 'items'].filter(key => isObject(schema[key])).map(key => [schema[key], `${at}.${key}`]),
+    ...['anyOf', 'oneOf', 'allOf'].flatMap(key => (schema[key] || []).map((sub, i) => [sub, `${at}.${key}[${i}]`])),
+  ];
+  for (const [sub, path] of children) {
+    const problem = schemaProblem(sub, path);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+// Check a request's `schema`; returns { error } or { schema }
+export function checkSchema(schema) {
+  if (!isObject(schema)) return { error: 'schema must be a JSON Schema object' };
+  if (JSON.stringify(schema).length > MAX_SCHEMA_CHARS) return { error: `schema is too large (max ${MAX_SCHEMA_CHARS} characters)` };
+  const problem = schemaProblem(schema, 'schema');
+  return problem ? { error: problem } : { schema };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function hasType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+function equal(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => Object.hasOwn(b, key) && equal(a[key], b[key]));
+}
+
+/**
+ * Validate `value` against a checked schema. Returns a list of errors like
+ * "$.files[2].path is required" (empty when valid).
+ */
+export function validate(schema, value, at = '$') {
+  if (schema === true) return [];
+  if (schema === false) return [`${at} is not allowed`];
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(type, value))) return [`${at} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.const !== undefined && !equal(value, schema.const)) errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.some(option => equal(option, value))) {
+    errors.push(`${at} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) errors.push(`${at} must be at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'}`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at} must match /${schema.pattern}/`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} items`);
+    if (schema.items !== undefined) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties && Object.hasOwn(schema.properties, key)) errors.push(...validate(schema.properties[key], item, `${at}.${key}`));
+      else if (schema.additionalProperties !== undefined) errors.push(...validate(schema.additionalProperties, item, `${at}.${key}`));
+    }
+  }
+
+  for (const sub of schema.allOf || []) errors.push(...validate(sub, value, at));
+  if (schema.anyOf && !schema.anyOf.some(sub => !validate(sub, value, at).length)) {
+    errors.push(`${at} must match at least one of the anyOf schemas`);
+  }
+  if (schema.oneOf) {
+    const matched = schema.oneOf.filter(sub => !validate(sub, value, at).length).length;
+    if (matched !== 1) errors.push(`${at} must match exactly one of the oneOf schemas (matched ${matched})`);
+  }
+  return errors;
+}
+
+/**
+ * Parse and validate a model answer. Returns { value } or { errors } (at
+ * most MAX_ERRORS of them). A code fence around the JSON is tolerated.
+ */
+export function checkAnswer(schema, text) {
+  const json = String(text).trim().replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/, '$1');
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (err) {
+    return { errors: [`the answer is not valid JSON (${err.message}) — it may have been cut off`] };
+  }
+  const errors = validate(schema, value);
+  return errors.length ? { errors: errors.slice(0, MAX_ERRORS) } : { value };
+}
+
+// Appended to the system prompt; Ollama constrains the output, the prompt explains it
+export function schemaPrompt(schema) {
+  return `Respond with a single JSON value that matches this JSON Schema, and nothing else:\n\`\`\`json\n${JSON.stringify(schema, null, 2)}\n\`\`\``;
+}
+
+// The follow-up message after an answer fails validation
+export function retryPrompt(errors) {
+  return `That answer does not match the schema:\n${errors.map(e => `- ${e}`).join('\n')}\n\nRespond again with only the corrected JSON.`;
+}
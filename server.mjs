@@ -9,12 +9,46 @@
 
 import http from 'node:http';
 import { readFile } from 'node:fs/promises';
-import { join, dirname } from 'node:path';
+import { join, dirname, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { createAgentTools, createApprovals, runAgent, APPROVAL_TIMEOUT_MS, TOOL_NAMES } from './agent.mjs';
+import { createAuth, hasRole, hasResource, hasScope } from './auth.mjs';
+import { createThreadStore, isThreadId } from './threads.mjs';
+import { createContextManager, DEFAULT_CONTEXT_LIMIT, estimateTokens } from './context.mjs';
+import { createPresets } from './presets.mjs';
+import { createConfig } from './config.mjs';
+import { createTierRouter, loadSoulTiers } from './tiers.mjs';
+import { detectModeModels, getAvailableModels, pickBestModel } from './models.mjs';
+import { createPersonas } from './personas.mjs';
+import { createIndexStore, formatExcerpts, DEFAULT_TOP_K, MAX_TOP_K } from './retrieval.mjs';
+import { parseFindings, prepareAttachments } from './review.mjs';
+import { applyChanges, checkFiles, FILES_SCHEMA } from './project-files.mjs';
+import { checkAnswer, checkSchema, retryPrompt, schemaPrompt, MAX_SCHEMA_ATTEMPTS } from './schema.mjs';
+import { contractSummary, repairPrompt, verifyFiles, DEFAULT_REPAIR_ROUNDS, MAX_REPAIR_ROUNDS } from './verify.mjs';
+import { createTemplates, projectNames, renderTemplate, DEFAULT_TEMPLATE } from './scaffold.mjs';
+import { createJobQueue, DEFAULT_CONCURRENCY, DEFAULT_MAX_QUEUED } from './queue.mjs';
+import { createStreamHub, openSse, parseEventId } from './sse.mjs';
+import {
+  modeForModel, openaiError, toOllamaMessages, toOllamaOptions, completionId,
+  completion, completionChunk, finishReason, usageFrom, modelList, embeddingList,
+} from './openai.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-const PORT = process.env.SBK_PORT || 3776;
+// Modes, prompts, model lists and presets: sbk.config.json over built-in defaults
+let config;
+try {
+  config = createConfig();
+} catch (err) {
+  console.error(`  [config] ${err.message}`);
+  process.exit(1);
+}
+
+// Thinking tiers from identity/soul.json, routed per sbk.config.json `tiers`
+const soulTiers = loadSoulTiers();
+let tierRouter = createTierRouter(soulTiers, config.current().tiers);
+
+const PORT = process.env.SBK_PORT || config.current().port;
 const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
 
 // ── SSRF protection: OLLAMA_URL must point to localhost ────────────
@@ -36,88 +70,102 @@ function validateOllamaUrl(url) {
 
 validateOllamaUrl(OLLAMA_URL);
 
-// ── Model selection ────────────────────────────────────────────────
-// Mode-aware model selection: uncensored for general, coding models for code
-
-const MODEL_PREFERENCES = {
-  // Uncensored models for general conversation — no refusals
-  general: [
-    'dolphin-llama3:8b',
-    'dolphin-mistral:7b',
-    'dolphin-mixtral:8x7b',
-    'nous-hermes2:10.7b',
-    'llama3.2:latest',
-    'mistral:latest',
-  ],
-  // Coding-specialized models
-  code: [
-    'qwen2.5-coder:14b',
-    'qwen2.5-coder:7b',
-    'codellama:13b',
-    'codellama:7b',
-    'deepseek-coder-v2:16b',
-    'deepseek-r1:14b',
-    'deepseek-r1:7b',
-    'deepseek-r1:1.5b',
-  ],
+// ── Wallet auth ────────────────────────────────────────────────────
+// SIWE endpoints are always mounted. With SBK_REQUIRE_AUTH=1 the model
+// routes refuse requests without a valid X-Session-Id, so every job on a
+// shared box is attributable to a wallet. SBK_AUTH_POLICY points at a
+// roles policy (see auth-policy.mjs); viewers can sign in but not run models.
+// A session signed with `resources` is limited to those capability URIs;
+// an API key (Authorization: Bearer sbk_...) is limited to its scopes.
+
+const REQUIRE_AUTH = ['1', 'true'].includes(process.env.SBK_REQUIRE_AUTH);
+const PROTECTED_ROUTES = {
+  '/chat': { roles: ['admin', 'builder'], resource: 'urn:sbk:chat', scope: 'chat' },
+  '/chat/stream': { roles: ['admin', 'builder'], resource: 'urn:sbk:chat', scope: 'chat' },
+  '/scaffold': { roles: ['admin', 'builder'], resource: 'urn:sbk:scaffold', scope: 'scaffold' },
+  '/contract': { roles: ['admin', 'builder'], resource: 'urn:sbk:scaffold', scope: 'scaffold' },
+  '/models': { roles: ['admin', 'builder', 'viewer'], scope: 'models:read' },
+  '/queue': { roles: ['admin', 'builder', 'viewer'], scope: 'models:read' },
+  '/config': { roles: ['admin', 'builder', 'viewer'], scope: 'models:read' },
+  '/personas': { roles: ['admin', 'builder', 'viewer'], scope: 'models:read' },
+  '/indexes': { roles: ['admin', 'builder', 'viewer'], scope: 'models:read' },
+  '/templates': { roles: ['admin', 'builder', 'viewer'], scope: 'models:read' },
+  '/v1/chat/completions': { roles: ['admin', 'builder'], resource: 'urn:sbk:chat', scope: 'chat' },
+  '/v1/embeddings': { roles: ['admin', 'builder'], resource: 'urn:sbk:chat', scope: 'chat' },
+  '/v1/models': { roles: ['admin', 'builder', 'viewer'], scope: 'models:read' },
 };
-
-async function getAvailableModels() {
-  try {
-    const res = await fetch(`${OLLAMA_URL}/api/tags`);
-    const data = await res.json();
-    return data.models?.map(m => m.name) || [];
-  } catch {
-    return [];
-  }
+// Reading and managing threads is open to viewers; posting to one runs the model
+const THREAD_GUARD = { roles: ['admin', 'builder', 'viewer'], resource: 'urn:sbk:chat', scope: 'chat' };
+const CAPABILITIES = [...new Set(Object.values(PROTECTED_ROUTES).map(r => r.resource).filter(Boolean))];
+
+// Agent tools and scaffold verification run model-written code on this
+// machine. They're for signed-in callers (everyone, under SBK_REQUIRE_AUTH)
+// unless the server opts in with SBK_ALLOW_AGENT=1 / SBK_ALLOW_VERIFY=1,
+// and take JSON bodies only: a cross-site page can send text/plain or form
+// posts without a CORS preflight, but not application/json.
+const ALLOW_AGENT = ['1', 'true'].includes(process.env.SBK_ALLOW_AGENT);
+const ALLOW_VERIFY = ['1', 'true'].includes(process.env.SBK_ALLOW_VERIFY);
+
+function isJsonRequest(req) {
+  return /^application\/json\b/i.test(req.headers['content-type'] || '');
 }
 
-function pickBestModel(available, preferenceList) {
-  for (const model of preferenceList) {
-    const prefix = model.split(':')[0];
-    const match = available.find(m => m.startsWith(prefix));
-    if (match) return match;
-  }
+// Why `req` may not run model-driven code on this machine, or null
+function hostRunProblem(req, session, { allowed, flag }) {
+  if (!session && !allowed) return `sign in, or start the server with SBK_REQUIRE_AUTH=1 or ${flag}=1`;
+  if (!isJsonRequest(req)) return 'the request must be sent as Content-Type: application/json';
   return null;
 }
 
-async function detectModels() {
-  const available = await getAvailableModels();
-
-  const codeModel = pickBestModel(available, MODEL_PREFERENCES.code) || available[0] || 'qwen2.5-coder:7b';
-  const generalModel = pickBestModel(available, MODEL_PREFERENCES.general) || codeModel;
-
-  return { code: codeModel, general: generalModel, available };
+function guardFor(pathname) {
+  if (PROTECTED_ROUTES[pathname]) return PROTECTED_ROUTES[pathname];
+  if (/^\/threads\/[^/]+\/messages$/.test(pathname)) return PROTECTED_ROUTES['/chat'];
+  if (pathname.startsWith('/chat/stream/')) return PROTECTED_ROUTES['/chat/stream'];
+  if (pathname === '/threads' || pathname.startsWith('/threads/')) return THREAD_GUARD;
+  return null;
 }
 
-// ── Ollama proxy with code-assist prompts ──────────────────────────
+// Sessions persist to ~/.sbk/auth.jsonl unless SBK_AUTH_STORE=memory
+const auth = createAuth({
+  domain: process.env.SBK_AUTH_DOMAIN || `localhost:${PORT}`,
+  store: process.env.SBK_AUTH_STORE || 'file',
+  rpcUrl: process.env.SBK_AUTH_RPC_URL,
+  policy: process.env.SBK_AUTH_POLICY,
+  resources: CAPABILITIES,
+});
 
-const SYSTEM_PROMPTS = {
-  code: `You are a local code assistant running on the user's own hardware. Answer every question directly. Write clean, working code. No preamble, no apologies, no refusals, no warnings about AI limitations. The user owns this machine and controls what runs on it. Just help them build.`,
+// Conversation threads persist to ~/.sbk/threads/, owned by the caller's wallet
+const threads = createThreadStore();
 
-  review: `You are a code reviewer running locally on the user's machine. Point out bugs, security issues, and improvements. Be direct. No disclaimers, no refusals. Format: file:line — issue — fix.`,
+// ── Model selection ────────────────────────────────────────────────
+// Per-mode preference lists are resolved in models.mjs; tiers add their own.
 
-  scaffold: `You are a project scaffolder running locally. When asked to create a project, output the complete file contents for each file. Use this format:
---- FILE: path/to/file ---
-(contents)
---- END FILE ---
+async function detectModels(config) {
+  const available = await getAvailableModels(OLLAMA_URL);
 
-Always include: package.json, main entry point, and a README with one-command setup. No refusals — generate whatever the user asks for.`,
+  // Tiers without an installed candidate (null) use the mode's model
+  const tierModels = {};
+  for (const name of tierRouter.names) {
+    tierModels[name] = pickBestModel(available, tierRouter.candidates(name));
+  }
 
-  general: `You are a helpful local AI assistant running on the user's own machine. You answer all questions directly and honestly. No refusals. No "I can't assist with that." No safety disclaimers. The user is running you locally because they want an AI that actually helps. Be concise, be direct, be useful.`
-};
+  return { ...detectModeModels(available, config), tiers: tierModels, available };
+}
+
+// ── Ollama proxy with code-assist prompts ──────────────────────────
+// System prompts live with their modes in config.mjs / sbk.config.json
 
-async function queryOllama(model, messages, stream = false) {
+// POST /api/chat; resolves the raw response once Ollama accepts the request
+async function ollamaChat({ options, ...body }, signal) {
   const res = await fetch(`${OLLAMA_URL}/api/chat`, {
     method: 'POST',
+    signal,
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
-      model,
-      messages,
-      stream,
+      ...body,
       options: {
         temperature: 0.3,
-        num_predict: 4096,
+        ...options,
       }
     })
   });
@@ -125,6 +173,12 @@ async function queryOllama(model, messages, stream = false) {
   if (!res.ok) {
     throw new Error(`Ollama error: ${res.status} ${await res.text()}`);
   }
+  return res;
+}
+
+// `format` is a JSON Schema the answer is constrained to (see schema.mjs)
+async function queryOllama(model, messages, stream = false, options = {}, signal, format) {
+  const res = await ollamaChat({ model, messages, stream, ...(format && { format }), options }, signal);
 
   if (stream) {
     return res;
@@ -134,9 +188,579 @@ async function queryOllama(model, messages, stream = false) {
   return data.message?.content || '';
 }
 
+// Ask for JSON matching `schema`; an answer that fails validation goes back
+// with the errors, up to MAX_SCHEMA_ATTEMPTS answers in all. Returns
+// { response, attempts } plus `json` when valid or `errors` when not.
+async function generateJson(model, messages, options, schema, signal) {
+  let turns = messages;
+  for (let attempt = 1; ; attempt++) {
+    const response = await queryOllama(model, turns, false, options, signal, schema);
+    const checked = checkAnswer(schema, response);
+    if (!checked.errors) return { response, json: checked.value, attempts: attempt };
+    if (attempt >= MAX_SCHEMA_ATTEMPTS) return { response, errors: checked.errors, attempts: attempt };
+    turns = [...messages, { role: 'assistant', content: response }, { role: 'user', content: retryPrompt(checked.errors) }];
+  }
+}
+
+// Yield each JSON object of an Ollama NDJSON stream, buffering lines split across chunks
+async function* ollamaLines(ollamaRes) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const parse = (line) => {
+    const parsed = JSON.parse(line);
+    if (parsed.error) throw new Error(`Ollama error: ${parsed.error}`);
+    return parsed;
+  };
+  for await (const chunk of ollamaRes.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield parse(line);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) yield parse(buffer);
+}
+
+async function embedOllama(model, input, signal) {
+  const res = await fetch(`${OLLAMA_URL}/api/embed`, {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model, input }),
+  });
+  if (!res.ok) {
+    throw Object.assign(new Error(`Ollama error: ${res.status} ${await res.text()}`), { status: res.status });
+  }
+  return res.json();
+}
+
+function modelForMode(mode) {
+  return activeModels.modes[mode] || activeModels.general;
+}
+
+// Unknown modes run as general
+function modeConfig(mode) {
+  const { modes } = config.current();
+  return modes[mode] || modes.general;
+}
+
+// History is trimmed to each model's context window (from /api/show, capped
+// by SBK_CONTEXT_LIMIT); turns that fall out are folded into a rolling summary.
+const contextManager = createContextManager({
+  ollamaUrl: OLLAMA_URL,
+  complete: (model, messages, options, signal) => queryOllama(model, messages, false, options, signal),
+  limit: Number(process.env.SBK_CONTEXT_LIMIT) || DEFAULT_CONTEXT_LIMIT,
+});
+
+// Sampling presets per mode (built-ins + each mode's config presets)
+let presets = createPresets(config.current().modes);
+
+// A reload swaps prompts and presets at once and re-picks models for the new lists
+config.onChange(async (next, previous) => {
+  presets = createPresets(next.modes);
+  tierRouter = createTierRouter(soulTiers, next.tiers);
+  activeModels = await detectModels(next);
+  if (next.port !== previous.port) console.log('  [config] port change takes effect on restart');
+});
+
+// Soul files to chat as: the bundled ARI, config `personas`, ./<agent>/identity/soul.json
+const personas = createPersonas({ configured: () => config.current().personas });
+
+// Starter projects for /scaffold: ./templates plus SBK_TEMPLATES (~/.sbk/templates)
+const templates = createTemplates();
+
+// Codebase indexes built by `sbk index <dir>`, for chat `context: { index, topK }`
+const indexes = createIndexStore();
+
+// Every model call waits its turn here: SBK_CONCURRENCY at once (default 1),
+// up to SBK_QUEUE_LIMIT waiting, served round-robin per wallet.
+const queue = createJobQueue({
+  concurrency: Number(process.env.SBK_CONCURRENCY) || DEFAULT_CONCURRENCY,
+  maxQueued: Number(process.env.SBK_QUEUE_LIMIT) || DEFAULT_MAX_QUEUED,
+});
+
+// /chat/stream responses are buffered so dropped clients can resume them
+const streams = createStreamHub();
+
+// Agent tool calls waiting for the user's yes or no (POST /chat/stream/:id/approve)
+const approvals = createApprovals();
+
+// Pick tier, model, system prompt and sampling options for a mode. Cheap, so it
+// runs before queueing; returns { error } for an invalid tier, persona, preset, options,
+// index context, attachments, schema or agent settings.
+function planChat({
+  message, mode = 'general', history = [], model, tier, persona, preset, options, context, files, diff, schema,
+  approve, maxSteps,
+}, access = {}) {
+  // Attached files and diffs go after the message, line-numbered for review
+  const attached = prepareAttachments({ files, diff });
+  if (attached.error) return { error: attached.error };
+  if (!message && !attached.text) return { error: 'message required' };
+  const prompt = attached.text ? `${message || 'Review the attached code.'}\n\n${attached.text}` : message;
+
+  const route = model
+    ? { tier: null, rationale: 'model set explicitly' }
+    : tierRouter.classify({ mode, tier, message: message || '' });
+  if (route.error) return { error: route.error };
+
+  const tierModel = route.tier ? activeModels.tiers?.[route.tier] : null;
+  const useModel = model || tierModel || modelForMode(mode);
+  const rationale = model || tierModel || !route.tier
+    ? route.rationale
+    : `${route.rationale}; ${route.tier} runs on the ${mode} model`;
+  let systemPrompt = modeConfig(mode).prompt;
+  if (persona !== undefined) {
+    const soul = typeof persona === 'string' ? personas.get(persona) : { error: 'persona must be a string' };
+    if (soul.error) return { error: soul.error };
+    // General chat is the persona talking; other modes keep their task instructions
+    systemPrompt = mode === 'general' ? soul.prompt : `${soul.prompt}\n\n${systemPrompt}`;
+  }
+
+  const sampling = presets.resolve(mode, { preset, options });
+  if (sampling.error) return { error: sampling.error };
+
+  const retrieval = context === undefined ? null : checkRetrieval(context);
+  if (retrieval?.error) return { error: retrieval.error };
+
+  const structured = schema === undefined ? null : checkSchema(schema);
+  if (structured?.error) return { error: structured.error };
+  if (structured) systemPrompt = `${systemPrompt}\n\n${schemaPrompt(structured.schema)}`;
+
+  const agent = mode === 'agent' ? checkAgent({ approve, maxSteps }, access) : null;
+  if (agent?.error) return agent;
+  if (agent && structured) return { error: 'schema is not supported in agent mode' };
+
+  return {
+    mode,
+    useModel,
+    tier: { name: route.tier, model: useModel, rationale },
+    persona: persona ?? null,
+    systemPrompt,
+    preset: sampling.preset,
+    sampling: sampling.options,
+    retrieval,
+    schema: structured?.schema || null,
+    agent,
+    // Findings are parsed from review answers, matched against attached paths
+    paths: mode === 'review' ? attached.paths : null,
+    // Only user/assistant turns; fitChat keeps as many as the window allows
+    history: sanitizeHistory(history),
+    message: prompt,
+  };
+}
+
+// Fit a planned chat to the model's context budget (may summarize old turns)
+// and add index excerpts to the system prompt; `sources` lists the excerpts used
+async function fitChat(plan, signal) {
+  const found = plan.retrieval ? await retrieve(plan, signal) : null;
+  const fitted = await contextManager.fit({
+    model: plan.useModel,
+    system: found ? `${plan.systemPrompt}\n\n${found.excerpts}` : plan.systemPrompt,
+    history: plan.history,
+    message: plan.message,
+    options: plan.sampling,
+    signal,
+  });
+  return { ...fitted, sources: found?.sources };
+}
+
+// Agent requests: `approve` lists ask-policy tools to allow without asking
+// (signed-in callers only), `maxSteps` lowers the configured step limit.
+// `access` is { signedIn, problem } from hostRunProblem.
+// Returns { approve, maxSteps } or { error, status }.
+function checkAgent({ approve = [], maxSteps }, { signedIn = false, problem = null }) {
+  const limit = config.current().agent.maxSteps;
+  if (problem) return { error: `Agent mode is not available: ${problem}`, status: 403 };
+  if (!Array.isArray(approve) || !approve.every(tool => TOOL_NAMES.includes(tool))) {
+    return { error: `approve must be an array of tool names (${TOOL_NAMES.join(', ')})` };
+  }
+  if (approve.length && !signedIn) {
+    return { error: 'approve needs a signed-in session or API key; without one, ask-policy tools are asked on /chat/stream', status: 403 };
+  }
+  const steps = maxSteps ?? limit;
+  if (!Number.isInteger(steps) || steps < 1 || steps > limit) {
+    return { error: `maxSteps must be an integer from 1 to ${limit}` };
+  }
+  return { approve, maxSteps: steps };
+}
+
+// Run the agent loop over a fitted chat. Each model turn queues on its own,
+// so a run waiting for the user's approval doesn't hold a generation slot.
+async function runAgentPlan(plan, fitted, { owner, queued, confirm, onEvent }) {
+  const tools = createAgentTools(config.current().agent);
+  const chat = (messages, definitions) => queue.run(owner, async (signal) => {
+    const res = await ollamaChat({
+      model: plan.useModel,
+      messages,
+      stream: false,
+      ...(definitions && { tools: definitions }),
+      options: fitted.options,
+    }, signal);
+    return (await res.json()).message || {};
+  }, queued);
+  const allowed = (entry) => plan.agent.approve.includes(entry.tool);
+  return runAgent({
+    messages: fitted.messages,
+    tools,
+    maxSteps: plan.agent.maxSteps,
+    chat,
+    confirm: async (entry) => allowed(entry) || confirm(entry),
+    onEvent,
+    signal: queued.signal,
+  });
+}
+
+// `context: { index, topK }` -> { index, topK } or { error }
+function checkRetrieval(context) {
+  if (context === null || typeof context !== 'object' || Array.isArray(context)) {
+    return { error: 'context must be an object: { index, topK }' };
+  }
+  const { index, topK = DEFAULT_TOP_K } = context;
+  if (!indexes.has(index)) return { error: `Unknown index: ${index} (build one with: sbk index <dir>)` };
+  if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+    return { error: `context.topK must be an integer from 1 to ${MAX_TOP_K}` };
+  }
+  return { index, topK };
+}
+
+// Embed the question with the index's own model and excerpt the closest
+// chunks, using at most a third of the model's input budget
+async function retrieve({ retrieval, message, useModel, sampling }, signal) {
+  const index = await indexes.load(retrieval.index);
+  if (!index) throw new Error(`Index ${retrieval.index} disappeared`);
+  const { embeddings } = await embedOllama(index.meta.model, message, signal);
+  const hits = indexes.search(index, embeddings[0], retrieval.topK);
+
+  const { inputBudget } = await contextManager.budget(useModel, sampling);
+  let room = Math.floor(inputBudget / 3);
+  const kept = [];
+  for (const hit of hits) {
+    const tokens = estimateTokens(hit.text);
+    if (kept.length && tokens > room) break;
+    room -= tokens;
+    kept.push(hit);
+  }
+
+  return {
+    excerpts: formatExcerpts(retrieval.index, kept),
+    sources: kept.map(({ file, startLine, endLine, score }) => ({
+      file, startLine, endLine, score: Math.round(score * 1000) / 1000,
+    })),
+  };
+}
+
+// Validate a /scaffold request; returns { error } or the job for runScaffold.
+// `template` (default vanilla) is a starter the model customizes; a legacy
+// `framework` that isn't a template id keeps the free-form prompt.
+function planScaffold({ description, template, name = 'my-app', framework, preset, options, verify }) {
+  if (!description) return { error: 'description required' };
+
+  const sampling = presets.resolve('scaffold', { preset, options });
+  if (sampling.error) return { error: sampling.error };
+
+  const { rounds, error } = repairRounds(verify);
+  if (error) return { error };
+
+  const id = template ?? framework ?? DEFAULT_TEMPLATE;
+  let starter = null;
+  let prompt;
+  if (template !== undefined || templates.has(id)) {
+    const found = templates.get(id);
+    if (found.error) return { error: found.error };
+    const names = projectNames(name);
+    if (names.error) return { error: names.error };
+    const checked = checkFiles(renderTemplate(found, names));
+    if (checked.rejected.length) {
+      return { error: `Template ${id} has files that can't be written: ${checked.rejected.map(f => `${f.path} (${f.reason})`).join(', ')}` };
+    }
+    starter = { id, files: checked.files };
+
+    prompt = `Customize this ${found.title} starter project for: ${description}
+
+${found.prompt}
+
+Requirements:
+- Users identify with their wallet (SIWE or a wallet connection) — NO passwords, NO OAuth
+- No cloud AI dependencies — use local Ollama API at http://localhost:11434 if AI is needed
+- Keep exact dependency versions; add new dependencies with exact versions
+- Update README.md to describe what you built
+
+Starter files:
+
+${JSON.stringify({ files: starter.files }, null, 2)}
+
+Return only the files you add or change, complete, in \`files\`. Files you leave out are kept as they are; to remove one, return it with the content DELETE.`;
+  } else {
+    prompt = `Create a ${framework || DEFAULT_TEMPLATE} web project: ${description}
+
+Requirements:
+- Use wallet authentication (SIWE or ethers.js) — NO passwords, NO OAuth
+- Deploy-anywhere (works on Vercel, self-hosted, or IPFS)
+- No cloud AI dependencies — use local Ollama API at http://localhost:11434 if AI is needed
+- Include package.json with exact dependency versions
+- Include a one-command setup in README
+
+Return every file needed in \`files\`, complete.`;
+  }
+
+  return {
+    route: 'scaffold',
+    template: starter?.id || null,
+    framework: starter ? null : framework,
+    starter: starter?.files || null,
+    model: modelForMode('scaffold'),
+    sampling: sampling.options,
+    messages: [
+      // The mode prompt describes the files object; the schema pins it down
+      { role: 'system', content: `${modeConfig('scaffold').prompt}\n\n${schemaPrompt(FILES_SCHEMA)}` },
+      { role: 'user', content: prompt },
+    ],
+    rounds,
+  };
+}
+
+// `verify`: true, false/absent, or { rounds } -> { rounds } (null = don't verify) or { error }
+function repairRounds(verify) {
+  if (verify === undefined || verify === false) return { rounds: null };
+  if (verify === true) return { rounds: DEFAULT_REPAIR_ROUNDS };
+  const rounds = verify?.rounds ?? DEFAULT_REPAIR_ROUNDS;
+  if (!Number.isInteger(rounds) || rounds < 0 || rounds > MAX_REPAIR_ROUNDS) {
+    return { error: `verify must be true or { rounds } with rounds from 0 to ${MAX_REPAIR_ROUNDS}` };
+  }
+  return { rounds };
+}
+
+// The foundry template's config; the model writes the contract, tests and script
+const CONTRACT_STARTER = ['foundry.toml', 'remappings.txt', '.gitignore'];
+// Kept as the template has it, so the model can't switch on ffi or file access
+const CONTRACT_LOCKED = ['foundry.toml'];
+
+// Validate a /contract request; returns { error } or a job for runScaffold.
+// With `verify` (forge build, forge test, slither if installed) the result
+// gets a contract `summary`.
+function planContract({ description, name = 'my-contract', preset, options, verify }) {
+  if (!description) return { error: 'description required' };
+
+  const sampling = presets.resolve('solidity', { preset, options });
+  if (sampling.error) return { error: sampling.error };
+
+  const { rounds, error } = repairRounds(verify);
+  if (error) return { error };
+
+  const found = templates.get('foundry');
+  if (found.error) return { error: found.error };
+  const names = projectNames(name);
+  if (names.error) return { error: names.error };
+  const starter = checkFiles(renderTemplate(found, names)).files
+    .filter(f => CONTRACT_STARTER.includes(f.path))
+    .map(f => f.path === '.gitignore' ? { ...f, content: f.content.replace(/^web\/.*\n/gm, '') } : f);
+
+  const prompt = `Write a Foundry project for this contract: ${description}
+
+Deliver:
+- src/<Contract>.sol — the contract
+- test/<Contract>.t.sol — forge-std tests for every function, revert and event
+- script/Deploy.s.sol — a forge script that deploys it
+- README.md — what the contract does and how to build, test and deploy it
+
+These config files already exist (forge-std is installed in lib/). foundry.toml is fixed; changes to it are ignored:
+
+${JSON.stringify({ files: starter }, null, 2)}
+
+Return the files you add or change, complete, in \`files\`.`;
+
+  return {
+    route: 'contract',
+    template: 'foundry',
+    framework: null,
+    starter,
+    model: modelForMode('solidity'),
+    sampling: sampling.options,
+    messages: [
+      { role: 'system', content: `${modeConfig('solidity').prompt}\n\n${schemaPrompt(FILES_SCHEMA)}` },
+      { role: 'user', content: prompt },
+    ],
+    rounds,
+    locked: CONTRACT_LOCKED,
+    summarize: contractSummary,
+  };
+}
+
+// Checked model files, minus changes to the job's `locked` starter files
+// (those go to `rejected`)
+function acceptFiles(job, files) {
+  const checked = checkFiles(files);
+  const changesLocked = (f) => job.locked?.includes(f.path) && job.starter.find(s => s.path === f.path)?.content !== f.content;
+  return {
+    files: checked.files.filter(f => !changesLocked(f)),
+    rejected: [...checked.rejected, ...checked.files.filter(changesLocked).map(f => ({ path: f.path, reason: 'kept as in the template' }))],
+  };
+}
+
+// Generate a project; with verification, check and repair it up to `rounds`
+// times. `emit(event, data)` reports progress for streaming clients.
+async function runScaffold(job, { owner, signal, emit = () => {} }) {
+  const { model, sampling } = job;
+  const { numCtx, maxOutput } = await contextManager.budget(model, sampling);
+  const generate = async (messages, round) => {
+    const answer = await queue.run(owner, (jobSignal) => generateJson(model, messages, {
+      ...sampling,
+      num_ctx: numCtx,
+      num_predict: maxOutput,
+    }, FILES_SCHEMA, jobSignal), {
+      signal,
+      route: job.route,
+      onPosition: (position) => emit('progress', { round, phase: 'queued', position }),
+    });
+    if (answer.errors) {
+      const err = new Error(`Model output did not match the files schema after ${answer.attempts} attempts: ${answer.errors.join('; ')}`);
+      err.status = 502;
+      throw err;
+    }
+    return answer;
+  };
+
+  emit('progress', { round: 0, phase: 'generate' });
+  let { response: raw, json } = await generate(job.messages, 0);
+  // Files with unsafe paths or a broken package.json come back under `rejected`
+  const generated = acceptFiles(job, json.files);
+  // With a template the answer holds only what changed from the starter
+  let files = job.starter ? applyChanges(job.starter, generated.files) : generated.files;
+  let { rejected } = generated;
+  const { template } = job;
+  if (job.rounds === null) return { template, files, rejected, raw };
+
+  const history = [];
+  for (let round = 0; ; round++) {
+    emit('progress', { round, phase: 'verify', files: files.length });
+    const report = await verifyFiles(files, { signal, onCheck: (check) => emit('check', { round, ...check }) });
+    const failed = report.checks.filter(check => !check.ok && check.repairable);
+    history.push({
+      round,
+      passed: report.passed,
+      failed: report.checks.filter(check => !check.ok).map(({ name, file }) => ({ name, file })),
+    });
+
+    if (!failed.length || round >= job.rounds) {
+      const verify = { passed: report.passed, repairs: round, checks: report.checks, history };
+      return { template, files, rejected, raw, verify, ...(job.summarize && { summary: job.summarize(verify) }) };
+    }
+
+    // The model sees the current project, not every earlier answer
+    emit('progress', { round: round + 1, phase: 'repair', failed: failed.length });
+    ({ response: raw, json } = await generate([
+      ...job.messages,
+      { role: 'assistant', content: JSON.stringify({ files }) },
+      { role: 'user', content: repairPrompt(failed) },
+    ], round + 1));
+    const repaired = acceptFiles(job, json.files);
+    rejected = [...rejected, ...repaired.rejected];
+    files = applyChanges(files, repaired.files);
+  }
+}
+
+// A thread's stored history replaces any client-sent history; its mode is the default
+function chatInput(body, thread) {
+  if (!thread) return body;
+  return { ...body, mode: body.mode || thread.mode, history: thread.messages };
+}
+
+// Non-streaming chat shared by /chat and /threads/:id/messages
+async function runChat({ body, thread, wallet, caller, owner, route, signal, access }) {
+  const plan = planChat(chatInput(body, thread), access);
+  if (plan.error) {
+    return { status: plan.status || 400, body: { error: plan.error } };
+  }
+  const { mode, useModel, tier, persona, preset } = plan;
+
+  logJob(route, caller, tierLabel(mode, tier), useModel);
+
+  try {
+    if (plan.agent) return await runAgentChat(plan, { thread, wallet, owner, route, signal });
+    return await queue.run(owner, async (jobSignal) => {
+      const { messages, options, context, sources } = await fitChat(plan, jobSignal);
+      const structured = plan.schema && await generateJson(useModel, messages, options, plan.schema, jobSignal);
+      if (structured?.errors) {
+        return {
+          status: 502,
+          body: {
+            error: `Model output did not match the schema after ${structured.attempts} attempts`,
+            validation: structured.errors,
+            response: structured.response,
+            model: useModel,
+          },
+        };
+      }
+      const response = structured ? structured.response : await queryOllama(useModel, messages, false, options, jobSignal);
+      if (thread) {
+        await threads.append(thread.id, wallet, [
+          { role: 'user', content: plan.message },
+          { role: 'assistant', content: response, model: useModel },
+        ]);
+      }
+      return {
+        status: 200,
+        body: {
+          response,
+          model: useModel,
+          mode,
+          tier,
+          persona,
+          preset,
+          options,
+          context,
+          ...(sources && { sources }),
+          ...(structured && { json: structured.json, attempts: structured.attempts }),
+          ...(plan.paths && { findings: parseFindings(response, plan.paths) }),
+          ...(thread && { threadId: thread.id }),
+        },
+      };
+    }, { signal, route });
+  } catch (err) {
+    return { status: err.status || 500, body: { error: err.message } };
+  }
+}
+
+// Agent mode without a stream to ask on: tools that need approval run only
+// when a signed-in caller lists them in `approve`
+async function runAgentChat(plan, { thread, wallet, owner, route, signal }) {
+  const { mode, useModel, tier, persona, preset } = plan;
+  const queued = { signal, route };
+  const fitted = await queue.run(owner, (jobSignal) => fitChat(plan, jobSignal), queued);
+  const { response, transcript, steps, stopped } = await runAgentPlan(plan, fitted, {
+    owner, queued, confirm: async () => false,
+  });
+  if (thread) {
+    await threads.append(thread.id, wallet, [
+      { role: 'user', content: plan.message },
+      { role: 'assistant', content: response, model: useModel },
+    ]);
+  }
+  return {
+    status: 200,
+    body: {
+      response,
+      model: useModel,
+      mode,
+      tier,
+      persona,
+      preset,
+      options: fitted.options,
+      context: fitted.context,
+      ...(fitted.sources && { sources: fitted.sources }),
+      transcript,
+      steps,
+      stopped,
+      ...(thread && { threadId: thread.id }),
+    },
+  };
+}
+
 // ── HTTP Server ────────────────────────────────────────────────────
 
-let activeModels = { code: null, general: null };
+let activeModels = { code: null, general: null, embed: null, modes: {}, tiers: {} };
 
 async function handleRequest(req, res) {
   // CORS restricted to localhost origins only
@@ -144,8 +768,8 @@ async function handleRequest(req, res) {
   if (origin.startsWith('http://localhost') || origin.startsWith('http://127.0.0.1')) {
     res.setHeader('Access-Control-Allow-Origin', origin);
   }
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-Id');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-Id, Authorization');
 
   if (req.method === 'OPTIONS') {
     res.writeHead(204);
@@ -155,6 +779,57 @@ async function handleRequest(req, res) {
 
   const url = new URL(req.url, `http://localhost:${PORT}`);
 
+  // ── /auth/* — SIWE nonce, verify, session, logout ──
+  if (url.pathname.startsWith('/auth/')) {
+    const body = req.method === 'POST' ? await readBody(req) : {};
+    const result = await auth.handle({
+      method: req.method,
+      path: url.pathname,
+      headers: req.headers,
+      body,
+    });
+    if (result) {
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.body));
+      return;
+    }
+  }
+
+  // Resolve the caller's wallet; gate model routes when auth is required
+  const session = await auth.authenticate(req.headers);
+  const wallet = session?.address || null;
+  const caller = session?.apiKey ? `${wallet} (key ${session.apiKey})` : wallet;
+  // Queue fairness is per wallet; anonymous callers are told apart by address
+  const owner = wallet || `ip:${req.socket.remoteAddress}`;
+  const agentAccess = {
+    signedIn: Boolean(session),
+    problem: hostRunProblem(req, session, { allowed: ALLOW_AGENT, flag: 'SBK_ALLOW_AGENT' }),
+  };
+
+  const guard = guardFor(url.pathname);
+  if (REQUIRE_AUTH && guard) {
+    if (!session) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Authentication required' }));
+      return;
+    }
+    if (!hasRole(session, guard.roles)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Requires role: ${guard.roles.join(' or ')}` }));
+      return;
+    }
+    if (guard.resource && !hasResource(session, guard.resource)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Session not scoped for ${guard.resource}` }));
+      return;
+    }
+    if (!hasScope(session, guard.scope)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `API key lacks scope: ${guard.scope}` }));
+      return;
+    }
+  }
+
   // ── GET /health ──
   if (url.pathname === '/health') {
     let ollamaOk = false;
@@ -169,6 +844,9 @@ async function handleRequest(req, res) {
       model: activeModels.code,
       generalModel: activeModels.general,
       ollama: ollamaOk ? 'connected' : 'disconnected',
+      auth: REQUIRE_AUTH ? 'required' : 'optional',
+      wallet,
+      roles: session?.roles || null,
       port: PORT,
     }));
     return;
@@ -195,142 +873,508 @@ async function handleRequest(req, res) {
     return;
   }
 
+  // ── GET /config — active config, read-only ──
+  if (url.pathname === '/config' && req.method === 'GET') {
+    const { port, models, modes, tiers, agent } = config.current();
+    const presetsByMode = presets.list();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      sources: config.sources(),
+      loadedAt: config.loadedAt(),
+      port,
+      models,
+      modes: Object.fromEntries(Object.entries(modes).map(([name, mode]) => [name, {
+        prompt: mode.prompt,
+        models: mode.models,
+        model: modelForMode(name),
+        presets: presetsByMode[name],
+      }])),
+      tiers: {
+        ...tiers,
+        names: tierRouter.names,
+        models: activeModels.tiers,
+      },
+      agent,
+    }));
+    return;
+  }
+
+  // ── GET /personas — soul files available as `persona` ──
+  if (url.pathname === '/personas' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ personas: personas.list() }));
+    return;
+  }
+
+  // ── GET /templates — starter projects for /scaffold `template` and `sbk new` ──
+  if (url.pathname === '/templates' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ templates: templates.list() }));
+    return;
+  }
+
+  // ── GET /indexes — codebase indexes for chat `context` ──
+  if (url.pathname === '/indexes' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ indexes: await indexes.list() }));
+    return;
+  }
+
+  // ── GET /queue ──
+  if (url.pathname === '/queue' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(queue.status(owner)));
+    return;
+  }
+
   // ── POST /chat ──
   if (url.pathname === '/chat' && req.method === 'POST') {
     const body = await readBody(req);
-    const { message, mode = 'general', history = [], model } = body;
 
-    if (!message) {
+    const thread = body.threadId ? await threads.get(body.threadId, wallet) : null;
+    if (body.threadId && !thread) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'thread not found' }));
+      return;
+    }
+
+    const { signal } = abortOnClose(res);
+    const result = await runChat({ body, thread, wallet, caller, owner, route: 'chat', signal, access: agentAccess });
+    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result.body));
+    return;
+  }
+
+  // ── GET /chat/stream/:id — resume a stream (EventSource-friendly) ──
+  const resumeMatch = /^\/chat\/stream\/([a-f0-9]{24})$/.exec(url.pathname);
+  if (resumeMatch && req.method === 'GET') {
+    const last = parseEventId(req.headers['last-event-id'] || url.searchParams.get('lastEventId'));
+    const afterSeq = last?.streamId === resumeMatch[1] ? last.seq : 0;
+    if (!streams.resume(resumeMatch[1], owner, res, afterSeq)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'stream not found or expired' }));
+    }
+    return;
+  }
+
+  // ── POST /chat/stream/:id/approve — answer an agent `approval` event ──
+  const approveMatch = /^\/chat\/stream\/([a-f0-9]{24})\/approve$/.exec(url.pathname);
+  if (approveMatch && req.method === 'POST') {
+    if (!isJsonRequest(req)) {
+      res.writeHead(415, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Content-Type must be application/json' }));
+      return;
+    }
+    const body = await readBody(req);
+    if (typeof body.id !== 'string' || typeof body.approve !== 'boolean') {
       res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'message required' }));
+      res.end(JSON.stringify({ error: 'id and approve (true or false) required' }));
+      return;
+    }
+    if (!approvals.answer(approveMatch[1], owner, body.id, body.approve)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'approval not found, expired or already answered' }));
       return;
     }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ id: body.id, approved: body.approve }));
+    return;
+  }
 
-    // Pick model: code modes get coding model, everything else gets uncensored general model
-    const isCodeMode = mode === 'code' || mode === 'review' || mode === 'scaffold';
-    const defaultModel = isCodeMode ? activeModels.code : activeModels.general;
-    const useModel = model || defaultModel;
-    const systemPrompt = SYSTEM_PROMPTS[mode] || SYSTEM_PROMPTS.general;
+  // ── POST /chat/stream ──
+  // Events: meta (stream id, queue position, model, budget), token, error,
+  // done (Ollama eval counts and timings). Agent mode adds tool (one per
+  // call, as in the transcript) and approval ({ id, tool, args }: answer it
+  // with POST /chat/stream/:id/approve). Every event has an id; re-POST
+  // with Last-Event-ID to pick up where a dropped connection left off.
+  if (url.pathname === '/chat/stream' && req.method === 'POST') {
+    const body = await readBody(req);
 
-    // Sanitize history: only allow user/assistant roles, truncate content
-    const safeHistory = sanitizeHistory(history);
+    const last = parseEventId(req.headers['last-event-id']);
+    if (last) {
+      if (!streams.resume(last.streamId, owner, res, last.seq)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'stream not found or expired' }));
+      }
+      return;
+    }
+
+    const thread = body.threadId ? await threads.get(body.threadId, wallet) : null;
+    if (body.threadId && !thread) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'thread not found' }));
+      return;
+    }
 
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...safeHistory,
-      { role: 'user', content: message }
-    ];
+    const plan = planChat(chatInput(body, thread), agentAccess);
+    // A structured answer is validated whole, so it isn't streamed
+    if (plan.error || plan.schema) {
+      res.writeHead(plan.status || 400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: plan.error || 'schema is supported on /chat, not /chat/stream' }));
+      return;
+    }
+    const { mode, useModel, tier, persona, preset } = plan;
+
+    logJob('chat/stream', caller, tierLabel(mode, tier), useModel);
+
+    // The response attaches once the job is admitted, so queue-full errors
+    // still get a plain HTTP status and waiting clients get heartbeats
+    const stream = streams.create(owner);
+    let attached = false;
+    const attach = () => {
+      if (attached) return;
+      attached = true;
+      stream.attach(res);
+      stream.emit('meta', { streamId: stream.id });
+    };
+
+    const queued = {
+      signal: stream.signal,
+      route: 'chat/stream',
+      onPosition: (position) => {
+        attach();
+        stream.emit('meta', { queue: { position } });
+      },
+    };
 
     try {
-      const response = await queryOllama(useModel, messages);
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        response,
-        model: useModel,
-        mode,
-      }));
+      let fitted;
+      await queue.run(owner, async (signal) => {
+        attach();
+        fitted = await fitChat(plan, signal);
+        const { messages, options, context, sources } = fitted;
+        stream.emit('meta', {
+          model: useModel,
+          mode,
+          tier,
+          persona,
+          preset,
+          options,
+          context,
+          ...(sources && { sources }),
+          ...(thread && { threadId: thread.id }),
+          ...(plan.agent && { agent: { maxSteps: plan.agent.maxSteps, approve: config.current().agent.approve } }),
+        });
+        if (plan.agent) return;
+
+        const ollamaRes = await queryOllama(useModel, messages, true, options, signal);
+        let fullResponse = '';
+        let final = {};
+        for await (const part of ollamaLines(ollamaRes)) {
+          if (part.message?.content) {
+            fullResponse += part.message.content;
+            stream.emit('token', { token: part.message.content });
+          }
+          if (part.done) final = part;
+        }
+
+        if (thread) {
+          await threads.append(thread.id, wallet, [
+            { role: 'user', content: plan.message },
+            { role: 'assistant', content: fullResponse, model: useModel },
+          ]);
+        }
+
+        stream.emit('done', {
+          done: true,
+          ...streamStats(final),
+          ...(plan.paths && { findings: parseFindings(fullResponse, plan.paths) }),
+        });
+      }, queued);
+
+      // Agent mode: tool calls stream as `tool` events; ask-policy tools
+      // wait for an answer to their `approval` event
+      if (plan.agent) {
+        const { response, transcript, steps, stopped } = await runAgentPlan(plan, fitted, {
+          owner,
+          queued,
+          onEvent: (event, data) => stream.emit(event, data),
+          confirm: (entry) => {
+            const { id, decision } = approvals.ask(stream.id, owner, stream.signal);
+            stream.emit('approval', { id, step: entry.step, tool: entry.tool, args: entry.args, timeoutMs: APPROVAL_TIMEOUT_MS });
+            return decision;
+          },
+        });
+        stream.emit('token', { token: response });
+        if (thread) {
+          await threads.append(thread.id, wallet, [
+            { role: 'user', content: plan.message },
+            { role: 'assistant', content: response, model: useModel },
+          ]);
+        }
+        stream.emit('done', { done: true, transcript, steps, stopped });
+      }
     } catch (err) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: err.message }));
+      if (stream.signal.aborted) {
+        console.log(`  [chat/stream] ${caller || 'anonymous'} — cancelled, client disconnected`);
+      } else if (attached) {
+        stream.emit('error', { error: err.message });
+      } else {
+        res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+    } finally {
+      stream.end();
     }
     return;
   }
 
-  // ── POST /chat/stream ──
-  if (url.pathname === '/chat/stream' && req.method === 'POST') {
+  // ── GET /v1/models — OpenAI-compatible model list ──
+  if (url.pathname === '/v1/models' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(modelList(Object.keys(config.current().modes), await getAvailableModels(OLLAMA_URL))));
+    return;
+  }
+
+  // ── POST /v1/chat/completions — OpenAI-compatible chat ──
+  if (url.pathname === '/v1/chat/completions' && req.method === 'POST') {
     const body = await readBody(req);
-    const { message, mode = 'general', history = [], model } = body;
 
-    const isCodeMode = mode === 'code' || mode === 'review' || mode === 'scaffold';
-    const defaultModel = isCodeMode ? activeModels.code : activeModels.general;
-    const useModel = model || defaultModel;
-    const systemPrompt = SYSTEM_PROMPTS[mode] || SYSTEM_PROMPTS.general;
+    const converted = toOllamaMessages(body.messages);
+    const sampling = converted.error ? converted : toOllamaOptions(body);
+    if (sampling.error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(openaiError(sampling.error)));
+      return;
+    }
+    if (typeof body.model !== 'string' || !body.model) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(openaiError('model is required', { param: 'model' })));
+      return;
+    }
 
-    const safeHistory = sanitizeHistory(history);
+    // sbk-<mode> runs the mode's model, prompt and presets; other names go straight to Ollama
+    const mode = modeForModel(body.model, config.current().modes);
+    let useModel = body.model;
+    let messages = converted.messages;
+    let options = sampling.options;
+    if (mode) {
+      useModel = modelForMode(mode);
+      messages = [{ role: 'system', content: modeConfig(mode).prompt }, ...messages];
+      options = presets.resolve(mode, { options }).options;
+    } else if (!(await getAvailableModels(OLLAMA_URL)).includes(useModel)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(openaiError(`The model '${useModel}' does not exist`, { code: 'model_not_found', param: 'model' })));
+      return;
+    }
 
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...safeHistory,
-      { role: 'user', content: message }
-    ];
+    logJob('v1/chat', caller, mode || 'passthrough', useModel);
+
+    const id = completionId();
+    const stream = body.stream === true;
+    const write = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    const controller = abortOnClose(res);
 
     try {
-      const ollamaRes = await queryOllama(useModel, messages, true);
-      res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-      });
+      await queue.run(owner, async (signal) => {
+        const { numCtx, maxOutput } = await contextManager.budget(useModel, options);
+        const ollamaRes = await queryOllama(useModel, messages, true, {
+          ...options,
+          num_ctx: numCtx,
+          num_predict: maxOutput,
+        }, signal);
+
+        if (stream) {
+          openSse(res);
+          write(completionChunk({ id, model: body.model, delta: { role: 'assistant', content: '' } }));
+        }
 
-      // Stream Ollama response through as SSE
-      const reader = ollamaRes.body.getReader();
-      const decoder = new TextDecoder();
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n').filter(Boolean);
-
-        for (const line of lines) {
-          try {
-            const parsed = JSON.parse(line);
-            if (parsed.message?.content) {
-              res.write(`data: ${JSON.stringify({ token: parsed.message.content })}\n\n`);
-            }
-            if (parsed.done) {
-              res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-            }
-          } catch {}
+        let content = '';
+        let final = {};
+        for await (const part of ollamaLines(ollamaRes)) {
+          const token = part.message?.content;
+          if (token) {
+            content += token;
+            if (stream) write(completionChunk({ id, model: body.model, delta: { content: token } }));
+          }
+          if (part.done) final = part;
         }
-      }
 
-      res.end();
+        if (!stream) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(completion({ id, model: body.model, content, done: final })));
+          return;
+        }
+        write(completionChunk({ id, model: body.model, finish: finishReason(final) }));
+        if (body.stream_options?.include_usage) {
+          write({ ...completionChunk({ id, model: body.model }), choices: [], usage: usageFrom(final) });
+        }
+        res.end('data: [DONE]\n\n');
+      }, {
+        signal: controller.signal,
+        route: 'v1/chat',
+        // SSE comments keep the connection alive without confusing OpenAI clients
+        onPosition: stream
+          ? (position) => { openSse(res); res.write(`: queued, position ${position}\n\n`); }
+          : undefined,
+      });
     } catch (err) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: err.message }));
+      const error = openaiError(err.message, { type: err.status ? 'rate_limit_error' : 'server_error' });
+      if (controller.signal.aborted) {
+        console.log(`  [v1/chat] ${caller || 'anonymous'} — cancelled, client disconnected`);
+      } else if (res.headersSent) {
+        res.end(`data: ${JSON.stringify(error)}\n\n`);
+      } else {
+        res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(error));
+      }
     }
     return;
   }
 
-  // ── POST /scaffold ──
-  if (url.pathname === '/scaffold' && req.method === 'POST') {
+  // ── POST /v1/embeddings — OpenAI-compatible embeddings ──
+  if (url.pathname === '/v1/embeddings' && req.method === 'POST') {
     const body = await readBody(req);
-    const { description, framework = 'vanilla' } = body;
+    const { input } = body;
 
-    if (!description) {
+    const inputs = typeof input === 'string' ? [input] : input;
+    if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > 256
+      || !inputs.every(text => typeof text === 'string' && text.length > 0)) {
       res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'description required' }));
+      res.end(JSON.stringify(openaiError('input must be a non-empty string or an array of up to 256 strings', { param: 'input' })));
       return;
     }
 
-    const prompt = `Create a ${framework} web project: ${description}
+    // Aliases and a missing model fall back to the detected embedding model
+    const model = !body.model || modeForModel(body.model, config.current().modes) ? activeModels.embed : body.model;
+    if (!model) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(openaiError('No embedding model installed. Run: ollama pull nomic-embed-text', { param: 'model' })));
+      return;
+    }
 
-Requirements:
-- Use wallet authentication (SIWE or ethers.js) — NO passwords, NO OAuth
-- Deploy-anywhere (works on Vercel, self-hosted, or IPFS)
-- No cloud AI dependencies — use local Ollama API at http://localhost:11434 if AI is needed
-- Include package.json with exact dependency versions
-- Include a one-command setup in README
+    logJob('v1/embeddings', caller, `${inputs.length} input(s)`, model);
+
+    const { signal } = abortOnClose(res);
+    try {
+      const data = await queue.run(owner, (jobSignal) => embedOllama(model, inputs, jobSignal), {
+        signal,
+        route: 'v1/embeddings',
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(embeddingList({
+        model: body.model || model,
+        embeddings: data.embeddings || [],
+        promptTokens: data.prompt_eval_count,
+      })));
+    } catch (err) {
+      res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(openaiError(err.message, { type: err.status === 404 ? 'invalid_request_error' : 'server_error' })));
+    }
+    return;
+  }
 
-Output every file needed.`;
+  // ── /threads — persistent conversations ──
+  if (url.pathname === '/threads') {
+    if (req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ threads: await threads.list(wallet) }));
+      return;
+    }
+    if (req.method === 'POST') {
+      const { title, mode } = await readBody(req);
+      const thread = await threads.create({ owner: wallet, title, mode: config.current().modes[mode] ? mode : 'general' });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(thread));
+      return;
+    }
+  }
 
-    const messages = [
-      { role: 'system', content: SYSTEM_PROMPTS.scaffold },
-      { role: 'user', content: prompt }
-    ];
+  const threadMatch = /^\/threads\/([^/]+)(\/messages)?$/.exec(url.pathname);
+  if (threadMatch) {
+    const [, id, messagesPath] = threadMatch;
+    const thread = isThreadId(id) ? await threads.get(id, wallet) : null;
+    if (!thread) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'thread not found' }));
+      return;
+    }
 
-    try {
-      const response = await queryOllama(activeModels.code, messages);
+    // POST /threads/:id/messages — chat within the thread
+    if (messagesPath && req.method === 'POST') {
+      const body = await readBody(req);
+      const { signal } = abortOnClose(res);
+      const result = await runChat({ body, thread, wallet, caller, owner, route: 'threads', signal, access: agentAccess });
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.body));
+      return;
+    }
+
+    if (!messagesPath && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(thread));
+      return;
+    }
+
+    // PATCH /threads/:id — rename or change mode
+    if (!messagesPath && req.method === 'PATCH') {
+      const { title, mode } = await readBody(req);
+      const updated = await threads.update(id, wallet, {
+        title,
+        mode: config.current().modes[mode] ? mode : undefined,
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(threads.summarize(updated)));
+      return;
+    }
 
-      // Parse files from response
-      const files = parseScaffoldOutput(response);
+    if (!messagesPath && req.method === 'DELETE') {
+      await threads.remove(id, wallet);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+      return;
+    }
+  }
 
+  // ── POST /scaffold, POST /contract ──
+  // With `verify`, the files are checked in a temp dir and failures go back to
+  // the model for repair. With `stream: true`, progress arrives as SSE events:
+  // meta, progress, check, result (the JSON response), error, done.
+  // /contract is a Foundry project in solidity mode with a fixed foundry.toml.
+  if ((url.pathname === '/scaffold' || url.pathname === '/contract') && req.method === 'POST') {
+    const body = await readBody(req);
+    const job = url.pathname === '/contract' ? planContract(body) : planScaffold(body);
+    if (job.error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: job.error }));
+      return;
+    }
+    const verifyProblem = job.rounds !== null && hostRunProblem(req, session, { allowed: ALLOW_VERIFY, flag: 'SBK_ALLOW_VERIFY' });
+    if (verifyProblem) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `verify runs the generated project on the server: ${verifyProblem}` }));
+      return;
+    }
+
+    const label = job.template || job.framework;
+    logJob(job.route, caller, job.rounds === null ? label : `${label}, verify`, job.model);
+
+    if (body.stream === true) {
+      const stream = streams.create(owner);
+      stream.attach(res);
+      stream.emit('meta', { streamId: stream.id, model: job.model, template: job.template, verify: job.rounds !== null, rounds: job.rounds });
+      try {
+        stream.emit('result', await runScaffold(job, { owner, signal: stream.signal, emit: stream.emit }));
+        stream.emit('done', { done: true });
+      } catch (err) {
+        if (stream.signal.aborted) {
+          console.log(`  [${job.route}] ${caller || 'anonymous'} — cancelled, client disconnected`);
+        } else {
+          stream.emit('error', { error: err.message });
+        }
+      } finally {
+        stream.end();
+      }
+      return;
+    }
+
+    const { signal } = abortOnClose(res);
+    try {
+      const result = await runScaffold(job, { owner, signal });
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ files, raw: response }));
+      res.end(JSON.stringify(result));
     } catch (err) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: err.message }));
     }
     return;
@@ -362,35 +1406,60 @@ function readBody(req, maxBytes = 1_048_576) {
     let size = 0;
     req.on('data', chunk => {
       size += chunk.length;
-      if (size > maxBytes) {
-        req.destroy();
-        return reject(new Error('Request body too large'));
-      }
+      // The rest is read and dropped so the 413 reaches the client; the connection closes after it
+      if (size > maxBytes) return reject(Object.assign(new Error('Request body too large'), { status: 413 }));
       data += chunk;
     });
+    // Routes read fields off the body, so anything but a JSON object counts as empty
     req.on('end', () => {
-      try { resolve(JSON.parse(data)); }
-      catch { resolve({}); }
+      let body;
+      try { body = JSON.parse(data); } catch {}
+      resolve(body && typeof body === 'object' && !Array.isArray(body) ? body : {});
     });
     req.on('error', reject);
   });
 }
 
+// Ollama's final stream object -> eval counts and timings for the done event
+function streamStats(final) {
+  const seconds = (ns) => (ns || 0) / 1e9;
+  return {
+    promptEvalCount: final.prompt_eval_count || 0,
+    evalCount: final.eval_count || 0,
+    totalDuration: seconds(final.total_duration),
+    loadDuration: seconds(final.load_duration),
+    promptEvalDuration: seconds(final.prompt_eval_duration),
+    evalDuration: seconds(final.eval_duration),
+    tokensPerSecond: final.eval_duration
+      ? Math.round(final.eval_count / seconds(final.eval_duration) * 10) / 10
+      : null,
+    doneReason: final.done_reason || null,
+  };
+}
+
+// Aborts when the client disconnects before the response has been sent
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
+  });
+  return controller;
+}
+
+// "review/deep" for the request log
+function tierLabel(mode, tier) {
+  return tier.name ? `${mode}/${tier.name}` : mode;
+}
+
+function logJob(route, caller, mode, model) {
+  console.log(`  [${route}] ${caller || 'anonymous'} — ${mode} on ${model}`);
+}
+
+// Length is left to the context budget; this only drops foreign roles and fields
 function sanitizeHistory(history) {
   return (Array.isArray(history) ? history : [])
     .filter(m => m && (m.role === 'user' || m.role === 'assistant'))
-    .map(m => ({ role: m.role, content: String(m.content || '').slice(0, 8192) }))
-    .slice(-10);
-}
-
-function parseScaffoldOutput(text) {
-  const files = [];
-  const regex = /---\s*FILE:\s*(.+?)\s*---\n([\s\S]*?)(?=---\s*(?:FILE:|END FILE))/g;
-  let match;
-  while ((match = regex.exec(text)) !== null) {
-    files.push({ path: match[1].trim(), content: match[2].trim() });
-  }
-  return files;
+    .map(m => ({ role: m.role, content: String(m.content || '') }));
 }
 
 function generateFallbackDashboard() {
@@ -412,11 +1481,29 @@ function generateFallbackDashboard() {
   <p class="sub">Local AI + Wallet Auth + No Gatekeepers</p>
   <div class="status" id="status">Checking...</div>
   <h2>API</h2>
-  <pre><code>POST /chat          — AI code assist (modes: code, review, scaffold, general)
+  <pre><code>POST /chat          — AI code assist (modes: code, review, scaffold, agent, general)
 POST /chat/stream   — Streaming AI response (SSE)
+POST /chat/stream/:id/approve — Allow or deny an agent tool call
 POST /scaffold      — Generate a full project
+POST /contract      — Solidity contract + Foundry tests (verify to build and test)
+GET  /threads       — List your conversation threads (POST creates)
+GET  /threads/:id   — Thread with messages (PATCH renames, DELETE removes)
+POST /threads/:id/messages — Chat within a thread
 GET  /health        — Server + Ollama status
-GET  /models        — List available local models</code></pre>
+GET  /models        — List available local models
+GET  /queue         — Model job queue status
+GET  /config        — Active modes, prompts, models and presets
+GET  /personas      — Soul files available as chat personas
+GET  /indexes       — Codebase indexes (sbk index <dir>)
+POST /v1/chat/completions — OpenAI-compatible chat (models sbk-code, sbk-review, ...)
+GET  /v1/models     — OpenAI-compatible model list
+POST /v1/embeddings — OpenAI-compatible embeddings
+POST /auth/nonce    — Get SIWE signing challenge
+POST /auth/verify   — Verify wallet signature
+GET  /auth/session  — Check session
+POST /auth/refresh  — Renew signed session token
+POST /auth/logout   — End session
+POST /auth/keys     — Mint a scoped API key (GET lists, DELETE /auth/keys/:id revokes)</code></pre>
   <h2>Quick Test</h2>
   <pre><code>curl -X POST http://localhost:${PORT}/chat \\
   -H "Content-Type: application/json" \\
@@ -439,9 +1526,26 @@ GET  /models        — List available local models</code></pre>
 
 // ── Start ──────────────────────────────────────────────────────────
 
-const server = http.createServer(handleRequest);
+// A rejection no route handled (an oversized body, a store failing) ends
+// that request with an error instead of taking the process down
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((err) => {
+    console.error(`  [error] ${req.method} ${req.url} — ${err.message}`);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    const status = err.status || 500;
+    res.writeHead(status, { 'Content-Type': 'application/json', Connection: 'close' });
+    res.end(JSON.stringify({ error: status === 500 ? 'Internal server error' : err.message }));
+  });
+});
+
+activeModels = await detectModels(config.current());
 
-activeModels = await detectModels();
+// Reload sbk.config.json on edit or `kill -HUP <pid>`
+config.watch();
+process.on('SIGHUP', () => config.reload('SIGHUP'));
 
 server.listen(PORT, () => {
   console.log('');
@@ -454,12 +1558,34 @@ server.listen(PORT, () => {
   console.log(`  Code:    ${activeModels.code}`);
   console.log(`  General: ${activeModels.general}`);
   console.log(`  Ollama:  ${OLLAMA_URL}`);
+  console.log(`  Auth:    ${REQUIRE_AUTH ? 'required (SBK_REQUIRE_AUTH)' : 'optional'}`);
+  console.log(`  Queue:   ${queue.status().concurrency} at a time`);
+  console.log(`  Modes:   ${Object.keys(config.current().modes).join(', ')}`);
+  console.log(`  Config:  ${config.sources().join(', ') || 'built-in defaults'}`);
+  console.log(`  Agent:   ${resolve(config.current().agent.root)} (${ALLOW_AGENT ? 'anyone, SBK_ALLOW_AGENT' : 'signed-in callers'})`);
+  console.log(`  Verify:  ${ALLOW_VERIFY ? 'anyone, SBK_ALLOW_VERIFY' : 'signed-in callers'}`);
   console.log('');
   console.log('  Endpoints:');
   console.log('    POST /chat          — Code assist');
   console.log('    POST /chat/stream   — Streaming response');
+  console.log('    POST /chat/stream/:id/approve — Agent tool approvals');
   console.log('    POST /scaffold      — Generate project');
+  console.log('    POST /contract      — Generate a Solidity contract');
+  console.log('    *    /threads       — Conversation threads');
   console.log('    GET  /health        — Status check');
   console.log('    GET  /models        — Available models');
+  console.log('    GET  /queue         — Job queue status');
+  console.log('    GET  /config        — Active config');
+  console.log('    GET  /personas      — Chat personas');
+  console.log('    GET  /indexes       — Codebase indexes');
+  console.log('    POST /v1/chat/completions — OpenAI-compatible');
+  console.log('    GET  /v1/models     — OpenAI-compatible');
+  console.log('    POST /v1/embeddings — OpenAI-compatible');
+  console.log('    POST /auth/nonce    — SIWE challenge');
+  console.log('    POST /auth/verify   — Verify signature');
+  console.log('    GET  /auth/session  — Check session');
+  console.log('    POST /auth/refresh  — Renew token');
+  console.log('    POST /auth/logout   — End session');
+  console.log('    POST /auth/keys     — Mint API key');
   console.log('');
 });
@@ -6,7 +6,8 @@
  * Checks your system, installs what's missing, pulls models, gets you building.
  */
 
-import { execSync } from 'node:child_process';
+import { execFileSync, execSync } from 'node:child_process';
+import { FORGE_STD_DIR, FORGE_STD_REPO, FORGE_STD_TAG, hasForgeStd } from './verify.mjs';
 
 const c = {
   green: (s) => `\x1b[32m${s}\x1b[0m`,
@@ -113,7 +114,23 @@ try {
   log(`${c.yellow('!')} npm install had issues — check package.json`);
 }
 
-// 7. Done
+// 7. forge-std for contract verification, pinned; verification itself never downloads
+if (run('forge --version')) {
+  if (hasForgeStd()) {
+    log(`${c.green('✓')} forge-std in ${FORGE_STD_DIR}`);
+  } else {
+    log(c.cyan(`Fetching forge-std ${FORGE_STD_TAG}...`));
+    try {
+      execFileSync('git', ['clone', '--depth', '1', '--branch', FORGE_STD_TAG, FORGE_STD_REPO, FORGE_STD_DIR], { stdio: 'inherit' });
+      log(`${c.green('✓')} forge-std ${FORGE_STD_TAG} in ${FORGE_STD_DIR}`);
+    } catch {
+      log(`${c.yellow('!')} Could not fetch forge-std — contract verification needs it.`);
+      log(`  Try: git clone --branch ${FORGE_STD_TAG} ${FORGE_STD_REPO} ${FORGE_STD_DIR}`);
+    }
+  }
+}
+
+// 8. Done
 console.log(`
 ${c.bold(c.green('  SETUP COMPLETE'))}
 
@@ -0,0 +1,127 @@
+/**
+ * Sovereign Builder Kit — resumable server-sent event streams
+ *
+ * Every event of a /chat/stream response is numbered (`id: <stream>:<seq>`)
+ * and buffered, so a client that drops can reconnect with Last-Event-ID and
+ * receive what it missed, then keep following the live stream. Generation
+ * keeps running for a short grace period after the last client leaves; if
+ * nobody comes back, the stream's signal aborts the model call. Finished
+ * streams stay resumable for a minute. Idle connections get comment
+ * heartbeats so proxies don't close them while a model loads.
+ *
+ * The buffer keeps the newest MAX_EVENTS events. A client resuming from an
+ * event that has already been dropped gets an `error` event with code
+ * `events_expired` and should fetch the answer again rather than resume.
+ */
+
+import crypto from 'node:crypto';
+
+export const HEARTBEAT_MS = 15_000;
+export const RESUME_GRACE_MS = 10_000;
+export const RETAIN_MS = 60_000;
+const MAX_EVENTS = 20_000;             // oldest events are dropped past this
+
+export function openSse(res) {
+  if (res.headersSent) return;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+}
+
+// "<stream id>:<seq>" -> { streamId, seq }, or null
+export function parseEventId(value) {
+  const match = /^([a-f0-9]{24}):(\d+)$/.exec(String(value || '').trim());
+  return match ? { streamId: match[1], seq: Number(match[2]) } : null;
+}
+
+function writeEvent(res, e) {
+  res.write(`id: ${e.id}\nevent: ${e.event}\ndata: ${JSON.stringify(e.data)}\n\n`);
+}
+
+export function createStreamHub({ heartbeat = HEARTBEAT_MS, grace = RESUME_GRACE_MS, retain = RETAIN_MS } = {}) {
+  const streams = new Map();
+
+  function create(owner) {
+    const stream = {
+      id: crypto.randomBytes(12).toString('hex'),
+      owner,
+      events: [],
+      seq: 0,
+      clients: new Set(),
+      done: false,
+      controller: new AbortController(),
+      graceTimer: null,
+    };
+    streams.set(stream.id, stream);
+
+    function emit(event, data) {
+      if (stream.done) return;
+      const e = { id: `${stream.id}:${++stream.seq}`, seq: stream.seq, event, data };
+      stream.events.push(e);
+      if (stream.events.length > MAX_EVENTS) stream.events.shift();
+      for (const res of stream.clients) writeEvent(res, e);
+    }
+
+    function end() {
+      if (stream.done) return;
+      stream.done = true;
+      clearTimeout(stream.graceTimer);
+      for (const res of stream.clients) res.end();
+      stream.clients.clear();
+      setTimeout(() => streams.delete(stream.id), retain).unref();
+    }
+
+    return {
+      id: stream.id,
+      signal: stream.controller.signal,
+      emit,
+      end,
+      attach: (res, afterSeq) => attach(stream, res, afterSeq),
+    };
+  }
+
+  // Replay events after `afterSeq`, then follow the live stream
+  function attach(stream, res, afterSeq = 0) {
+    openSse(res);
+    // Events after afterSeq were dropped from the buffer: a replay would have a gap
+    if (stream.events.length && afterSeq < stream.events[0].seq - 1) {
+      res.end(`event: error\ndata: ${JSON.stringify({
+        error: `events after ${afterSeq} are no longer buffered; request the answer again`,
+        code: 'events_expired',
+      })}\n\n`);
+      return;
+    }
+    clearTimeout(stream.graceTimer);
+    for (const e of stream.events) {
+      if (e.seq > afterSeq) writeEvent(res, e);
+    }
+    if (stream.done) {
+      res.end();
+      return;
+    }
+
+    stream.clients.add(res);
+    const beat = setInterval(() => res.write(': ping\n\n'), heartbeat);
+    beat.unref();
+
+    res.on('close', () => {
+      clearInterval(beat);
+      stream.clients.delete(res);
+      if (!stream.done && stream.clients.size === 0) {
+        stream.graceTimer = setTimeout(() => stream.controller.abort(new Error('Client disconnected')), grace);
+      }
+    });
+  }
+
+  // Resume a stream by id; only its owner may
+  function resume(streamId, owner, res, afterSeq) {
+    const stream = streams.get(streamId);
+    if (!stream || stream.owner !== owner) return false;
+    attach(stream, res, afterSeq);
+    return true;
+  }
+
+  return { create, resume };
+}
@@ -0,0 +1,27 @@
+/**
+ * {{title}} — the Express app, without listening (see server.mjs).
+ */
+
+import express from 'express';
+import { createSiweAuth } from './auth.mjs';
+
+export function createApp() {
+  const app = express();
+  const auth = createSiweAuth();
+
+  app.use(express.json({ limit: '100kb' }));
+  app.use('/auth', auth.router);
+
+  app.get('/api/health', (req, res) => res.json({ ok: true }));
+
+  app.get('/api/me', auth.requireWallet, (req, res) => res.json({ address: req.wallet }));
+
+  app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+  // Malformed JSON bodies and anything thrown by a route
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.expose ? err.message : 'Internal error' });
+  });
+
+  return app;
+}
@@ -0,0 +1,80 @@
+/**
+ * Sign-In with Ethereum for the API.
+ *
+ * POST /message returns a message with a one-time nonce, POST /verify trades
+ * the signed message for a bearer token, and requireWallet guards routes.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { Router } from 'express';
+import { getAddress } from 'ethers';
+import { SiweMessage, generateNonce } from 'siwe';
+
+const NONCE_TTL_MS = 5 * 60 * 1000;
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+export function createSiweAuth() {
+  const nonces = new Map(); // nonce -> expiry
+  const tokens = new Map(); // token -> { address, expires }
+  const router = Router();
+
+  const bearer = (req) => /^Bearer (\w+)$/.exec(req.get('authorization') || '')?.[1];
+
+  router.post('/message', (req, res) => {
+    const { address, chainId, domain = req.get('host') } = req.body || {};
+    let checksummed;
+    try {
+      checksummed = getAddress(address);
+    } catch {
+      return res.status(400).json({ error: 'address must be an Ethereum address' });
+    }
+    const nonce = generateNonce();
+    nonces.set(nonce, Date.now() + NONCE_TTL_MS);
+    const message = new SiweMessage({
+      domain,
+      address: checksummed,
+      statement: 'Sign in to {{title}}.',
+      uri: `${req.protocol}://${domain}`,
+      version: '1',
+      chainId: Number(chainId) || 1,
+      nonce,
+    });
+    res.json({ message: message.prepareMessage() });
+  });
+
+  router.post('/verify', async (req, res) => {
+    const { message, signature } = req.body || {};
+    let siwe;
+    try {
+      siwe = new SiweMessage(message);
+    } catch {
+      return res.status(400).json({ error: 'message must be a SIWE message' });
+    }
+    const expires = nonces.get(siwe.nonce);
+    nonces.delete(siwe.nonce);
+    if (!expires || expires < Date.now()) return res.status(401).json({ error: 'Unknown or expired nonce' });
+    try {
+      await siwe.verify({ signature, nonce: siwe.nonce });
+    } catch {
+      return res.status(401).json({ error: 'Signature verification failed' });
+    }
+    const token = randomBytes(32).toString('hex');
+    tokens.set(token, { address: siwe.address, expires: Date.now() + TOKEN_TTL_MS });
+    res.json({ address: siwe.address, token });
+  });
+
+  router.post('/logout', (req, res) => {
+    tokens.delete(bearer(req));
+    res.json({ ok: true });
+  });
+
+  // Rejects requests without a live token; sets req.wallet otherwise
+  function requireWallet(req, res, next) {
+    const session = tokens.get(bearer(req));
+    if (!session || session.expires < Date.now()) return res.status(401).json({ error: 'Sign in required' });
+    req.wallet = session.address;
+    next();
+  }
+
+  return { router, requireWallet };
+}
@@ -0,0 +1,5 @@
+import { createApp } from './app.mjs';
+
+const port = Number(process.env.PORT) || 3000;
+
+createApp().listen(port, () => console.log(`{{title}} API on http://localhost:${port}`));
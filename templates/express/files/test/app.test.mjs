@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../src/app.mjs';
+
+async function withServer(fn) {
+  const server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await fn(`http://localhost:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+const post = (url, body) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('reports health', () => withServer(async (base) => {
+  assert.deepEqual(await (await fetch(`${base}/api/health`)).json(), { ok: true });
+}));
+
+test('builds a SIWE message with a checksummed address', () => withServer(async (base) => {
+  const res = await post(`${base}/auth/message`, { address: '0x742d35cc6634c0532925a3b844bc454e4438f44e' });
+  assert.equal(res.status, 200);
+  assert.match((await res.json()).message, /0x742d35Cc6634C0532925a3b844Bc454e4438f44e/);
+}));
+
+test('rejects an invalid address', () => withServer(async (base) => {
+  assert.equal((await post(`${base}/auth/message`, { address: 'nope' })).status, 400);
+}));
+
+test('guards /api/me', () => withServer(async (base) => {
+  const res = await fetch(`${base}/api/me`, { headers: { Authorization: 'Bearer 00' } });
+  assert.equal(res.status, 401);
+}));
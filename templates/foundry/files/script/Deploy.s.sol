@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {Script, console} from "forge-std/Script.sol";
+import {Guestbook} from "../src/Guestbook.sol";
+
+contract Deploy is Script {
+    function run() external returns (Guestbook book) {
+        vm.startBroadcast();
+        book = new Guestbook();
+        vm.stopBroadcast();
+        console.log("Guestbook deployed at", address(book));
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title {{title}} guestbook
+/// @notice Every address can sign once; entries are public and permanent.
+contract Guestbook {
+    struct Entry {
+        address author;
+        uint64 timestamp;
+        string message;
+    }
+
+    uint256 public constant MAX_MESSAGE_LENGTH = 280;
+
+    Entry[] private entries;
+    mapping(address => bool) public hasSigned;
+
+    event Signed(address indexed author, uint256 indexed index, string message);
+
+    error AlreadySigned();
+    error EmptyMessage();
+    error MessageTooLong();
+
+    function sign(string calldata message) external {
+        if (hasSigned[msg.sender]) revert AlreadySigned();
+        uint256 length = bytes(message).length;
+        if (length == 0) revert EmptyMessage();
+        if (length > MAX_MESSAGE_LENGTH) revert MessageTooLong();
+
+        hasSigned[msg.sender] = true;
+        entries.push(Entry(msg.sender, uint64(block.timestamp), message));
+        emit Signed(msg.sender, entries.length - 1, message);
+    }
+
+    function count() external view returns (uint256) {
+        return entries.length;
+    }
+
+    function entry(uint256 index) external view returns (Entry memory) {
+        return entries[index];
+    }
+}
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {Test} from "forge-std/Test.sol";
+import {Guestbook} from "../src/Guestbook.sol";
+
+contract GuestbookTest is Test {
+    Guestbook internal book;
+    address internal alice = makeAddr("alice");
+
+    function setUp() public {
+        book = new Guestbook();
+    }
+
+    function test_Sign() public {
+        vm.prank(alice);
+        book.sign("gm");
+
+        assertEq(book.count(), 1);
+        assertTrue(book.hasSigned(alice));
+        Guestbook.Entry memory entry = book.entry(0);
+        assertEq(entry.author, alice);
+        assertEq(entry.message, "gm");
+    }
+
+    function test_EmitsSigned() public {
+        vm.expectEmit(true, true, false, true);
+        emit Guestbook.Signed(alice, 0, "gm");
+        vm.prank(alice);
+        book.sign("gm");
+    }
+
+    function test_RevertWhen_SigningTwice() public {
+        vm.startPrank(alice);
+        book.sign("gm");
+        vm.expectRevert(Guestbook.AlreadySigned.selector);
+        book.sign("gm again");
+        vm.stopPrank();
+    }
+
+    function test_RevertWhen_MessageEmpty() public {
+        vm.expectRevert(Guestbook.EmptyMessage.selector);
+        book.sign("");
+    }
+
+    function test_RevertWhen_MessageTooLong() public {
+        vm.expectRevert(Guestbook.MessageTooLong.selector);
+        book.sign(string(new bytes(book.MAX_MESSAGE_LENGTH() + 1)));
+    }
+
+    function testFuzz_StoresMessage(string calldata message) public {
+        vm.assume(bytes(message).length > 0 && bytes(message).length <= book.MAX_MESSAGE_LENGTH());
+        book.sign(message);
+        assertEq(book.entry(0).message, message);
+    }
+}
@@ -0,0 +1,45 @@
+// The parts of Guestbook's ABI this page uses. After changing the contract,
+// compare with `jq .abi ../out/Guestbook.sol/Guestbook.json`.
+export const guestbookAbi = [
+  {
+    type: 'function',
+    name: 'sign',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'message', type: 'string' }],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    name: 'count',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+  {
+    type: 'function',
+    name: 'entry',
+    stateMutability: 'view',
+    inputs: [{ name: 'index', type: 'uint256' }],
+    outputs: [{
+      name: '',
+      type: 'tuple',
+      components: [
+        { name: 'author', type: 'address' },
+        { name: 'timestamp', type: 'uint64' },
+        { name: 'message', type: 'string' },
+      ],
+    }],
+  },
+  {
+    type: 'event',
+    name: 'Signed',
+    inputs: [
+      { name: 'author', type: 'address', indexed: true },
+      { name: 'index', type: 'uint256', indexed: true },
+      { name: 'message', type: 'string', indexed: false },
+    ],
+  },
+  { type: 'error', name: 'AlreadySigned', inputs: [] },
+  { type: 'error', name: 'EmptyMessage', inputs: [] },
+  { type: 'error', name: 'MessageTooLong', inputs: [] },
+];
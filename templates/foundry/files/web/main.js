@@ -0,0 +1,59 @@
+// Reads entries over RPC (or the wallet) and signs through the browser wallet with viem
+
+import { createPublicClient, createWalletClient, custom, http } from 'viem';
+import { guestbookAbi } from './abi.js';
+
+const address = import.meta.env.VITE_GUESTBOOK_ADDRESS;
+const MAX_SHOWN = 50;
+
+const statusEl = document.getElementById('status');
+const entriesEl = document.getElementById('entries');
+const form = document.getElementById('signForm');
+const input = document.getElementById('message');
+
+const publicClient = createPublicClient({
+  transport: window.ethereum ? custom(window.ethereum) : http(import.meta.env.VITE_RPC_URL || 'http://localhost:8545'),
+});
+
+function showError(err) {
+  statusEl.className = 'error';
+  statusEl.textContent = err.shortMessage || err.message;
+}
+
+// Newest first; text goes in with textContent, never as HTML
+async function load() {
+  const count = await publicClient.readContract({ address, abi: guestbookAbi, functionName: 'count' });
+  entriesEl.replaceChildren();
+  for (let i = count - 1n; i >= 0n && count - i <= MAX_SHOWN; i--) {
+    const entry = await publicClient.readContract({ address, abi: guestbookAbi, functionName: 'entry', args: [i] });
+    const li = document.createElement('li');
+    const author = document.createElement('div');
+    author.className = 'author';
+    author.textContent = `${entry.author} · ${new Date(Number(entry.timestamp) * 1000).toLocaleString()}`;
+    li.append(author, entry.message);
+    entriesEl.append(li);
+  }
+}
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (!window.ethereum) return showError(new Error('No wallet found — install one that injects window.ethereum'));
+  try {
+    const wallet = createWalletClient({ transport: custom(window.ethereum) });
+    const [account] = await wallet.requestAddresses();
+    statusEl.className = '';
+    statusEl.textContent = 'Waiting for the transaction...';
+    const hash = await wallet.writeContract({
+      address, abi: guestbookAbi, functionName: 'sign', args: [input.value], account, chain: null,
+    });
+    await publicClient.waitForTransactionReceipt({ hash });
+    statusEl.textContent = 'Signed.';
+    input.value = '';
+    await load();
+  } catch (err) {
+    showError(err);
+  }
+});
+
+if (!address) showError(new Error('Set VITE_GUESTBOOK_ADDRESS to the deployed contract (see README)'));
+else load().catch(showError);
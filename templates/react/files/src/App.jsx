@@ -0,0 +1,46 @@
+import { useState } from 'react';
+import { connectWallet, getBalance, signIn } from './wallet.js';
+
+export default function App() {
+  const [wallet, setWallet] = useState(null);
+  const [balance, setBalance] = useState(null);
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Run a wallet action, showing viem's short message when it fails
+  const action = (fn) => async () => {
+    setError(null);
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.shortMessage || err.message);
+    }
+  };
+
+  const connect = action(async () => {
+    const connected = await connectWallet();
+    setWallet(connected);
+    setBalance(await getBalance(connected.address));
+  });
+
+  const login = action(async () => setSession(await signIn(wallet)));
+
+  return (
+    <main>
+      <h1>{{title}}</h1>
+      {!wallet && <button onClick={connect}>Connect wallet</button>}
+      {wallet && (
+        <>
+          <p>
+            {wallet.address} on chain {wallet.chainId}
+            {balance !== null && <> — {balance} ETH</>}
+          </p>
+          {session
+            ? <p>Signed in as {session.address}</p>
+            : <button onClick={login}>Sign in with Ethereum</button>}
+        </>
+      )}
+      {error && <p className="error">{error}</p>}
+    </main>
+  );
+}
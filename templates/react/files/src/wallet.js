@@ -0,0 +1,39 @@
+// Browser wallet access through viem; everything goes through window.ethereum
+
+import { createPublicClient, createWalletClient, custom, formatEther } from 'viem';
+
+function provider() {
+  if (!window.ethereum) throw new Error('No wallet found — install one that injects window.ethereum');
+  return custom(window.ethereum);
+}
+
+// Ask the wallet for an account; returns { address, chainId }
+export async function connectWallet() {
+  const client = createWalletClient({ transport: provider() });
+  const [address] = await client.requestAddresses();
+  return { address, chainId: await client.getChainId() };
+}
+
+export async function getBalance(address) {
+  const client = createPublicClient({ transport: provider() });
+  return formatEther(await client.getBalance({ address }));
+}
+
+async function post(path, body) {
+  const res = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `${path}: HTTP ${res.status}`);
+  return data;
+}
+
+// SIWE against the API: it writes the message, the wallet signs, the API returns a token
+export async function signIn({ address, chainId }) {
+  const { message } = await post('/auth/message', { address, chainId, domain: window.location.host });
+  const client = createWalletClient({ transport: provider() });
+  const signature = await client.signMessage({ account: address, message });
+  return post('/auth/verify', { message, signature });
+}
@@ -0,0 +1,45 @@
+// Sign-In with Ethereum against server.mjs: the server writes the message, the wallet signs it
+
+const statusEl = document.getElementById('status');
+const signInBtn = document.getElementById('signIn');
+const signOutBtn = document.getElementById('signOut');
+
+async function api(path, body) {
+  const res = await fetch(path, {
+    method: body === undefined ? 'GET' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+function show(address) {
+  statusEl.textContent = address ? `Signed in as ${address}` : 'Not signed in';
+  signInBtn.hidden = Boolean(address);
+  signOutBtn.hidden = !address;
+}
+
+signInBtn.addEventListener('click', async () => {
+  if (!window.ethereum) {
+    statusEl.textContent = 'No wallet found — install one that injects window.ethereum';
+    return;
+  }
+  try {
+    const [address] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+    const chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+    const { message } = await api('/api/message', { address, chainId });
+    const signature = await window.ethereum.request({ method: 'personal_sign', params: [message, address] });
+    show((await api('/api/verify', { message, signature })).address);
+  } catch (err) {
+    statusEl.textContent = `Sign-in failed: ${err.message}`;
+  }
+});
+
+signOutBtn.addEventListener('click', async () => {
+  await api('/api/logout', {});
+  show(null);
+});
+
+api('/api/me').then(({ address }) => show(address), () => show(null));
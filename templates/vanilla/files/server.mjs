@@ -0,0 +1,105 @@
+/**
+ * {{title}} — server
+ *
+ * Serves public/ and handles Sign-In with Ethereum:
+ *
+ *   POST /api/message  { address, chainId } -> { message } to sign
+ *   POST /api/verify   { message, signature } -> session cookie
+ *   GET  /api/me       the signed-in address
+ *   POST /api/logout
+ */
+
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getAddress } from 'ethers';
+import { SiweMessage, generateNonce } from 'siwe';
+
+const PUBLIC_DIR = fileURLToPath(new URL('./public/', import.meta.url));
+const TYPES = { '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css', '.svg': 'image/svg+xml' };
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > 100_000) throw new Error('body too large');
+  }
+  return JSON.parse(body || '{}');
+}
+
+export function createServer() {
+  const nonces = new Map();   // nonce -> expiry
+  const sessions = new Map(); // session id -> address
+  const sid = (req) => /(?:^|;\s*)sid=([a-f0-9]{64})/.exec(req.headers.cookie || '')?.[1];
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/api/message' && req.method === 'POST') {
+      const { address, chainId } = await readJson(req);
+      const nonce = generateNonce();
+      nonces.set(nonce, Date.now() + NONCE_TTL_MS);
+      const message = new SiweMessage({
+        domain: req.headers.host,
+        address: getAddress(address),
+        statement: 'Sign in to {{title}}.',
+        uri: `http://${req.headers.host}`,
+        version: '1',
+        chainId: Number(chainId) || 1,
+        nonce,
+      });
+      return json(res, 200, { message: message.prepareMessage() });
+    }
+
+    if (pathname === '/api/verify' && req.method === 'POST') {
+      const { message, signature } = await readJson(req);
+      const siwe = new SiweMessage(message);
+      const expires = nonces.get(siwe.nonce);
+      nonces.delete(siwe.nonce);
+      if (!expires || expires < Date.now()) return json(res, 401, { error: 'Unknown or expired nonce' });
+      try {
+        await siwe.verify({ signature, domain: req.headers.host, nonce: siwe.nonce });
+      } catch {
+        return json(res, 401, { error: 'Signature verification failed' });
+      }
+      const id = randomBytes(32).toString('hex');
+      sessions.set(id, siwe.address);
+      return json(res, 200, { address: siwe.address }, { 'Set-Cookie': `sid=${id}; HttpOnly; SameSite=Strict; Path=/` });
+    }
+
+    if (pathname === '/api/me' && req.method === 'GET') {
+      const address = sessions.get(sid(req));
+      return address ? json(res, 200, { address }) : json(res, 401, { error: 'Not signed in' });
+    }
+
+    if (pathname === '/api/logout' && req.method === 'POST') {
+      sessions.delete(sid(req));
+      return json(res, 200, { ok: true }, { 'Set-Cookie': 'sid=; Max-Age=0; Path=/' });
+    }
+
+    if (req.method !== 'GET') return json(res, 404, { error: 'Not found' });
+    const file = normalize(join(PUBLIC_DIR, pathname === '/' ? 'index.html' : pathname));
+    if (!file.startsWith(PUBLIC_DIR)) return json(res, 403, { error: 'Forbidden' });
+    const content = await readFile(file).catch(() => null);
+    if (!content) return json(res, 404, { error: 'Not found' });
+    res.writeHead(200, { 'Content-Type': TYPES[extname(file)] || 'application/octet-stream' });
+    res.end(content);
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((err) => json(res, 400, { error: err.message }));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 3000;
+  createServer().listen(port, () => console.log(`{{title}} running on http://localhost:${port}`));
+}
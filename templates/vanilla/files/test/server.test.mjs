@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from '../server.mjs';
+
+async function withServer(fn) {
+  const server = createServer().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await fn(`http://localhost:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+const post = (url, body) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('builds a SIWE message for a wallet address', () => withServer(async (base) => {
+  const res = await post(`${base}/api/message`, { address: '0x742d35cc6634c0532925a3b844bc454e4438f44e', chainId: 1 });
+  assert.equal(res.status, 200);
+  const { message } = await res.json();
+  assert.match(message, /wants you to sign in with your Ethereum account:\n0x742d35Cc6634C0532925a3b844Bc454e4438f44e/);
+  assert.match(message, /Nonce: \w{8,}/);
+}));
+
+test('rejects a message with an unknown nonce', () => withServer(async (base) => {
+  const { message } = await (await post(`${base}/api/message`, { address: '0x742d35cc6634c0532925a3b844bc454e4438f44e' })).json();
+  const forged = message.replace(/Nonce: \w+/, 'Nonce: abcdefgh1234');
+  const res = await post(`${base}/api/verify`, { message: forged, signature: '0x00' });
+  assert.equal(res.status, 401);
+}));
+
+test('is signed out without a session cookie', () => withServer(async (base) => {
+  assert.equal((await fetch(`${base}/api/me`)).status, 401);
+}));
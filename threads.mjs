@@ -0,0 +1,138 @@
+/**
+ * Sovereign Builder Kit — conversation threads
+ *
+ * One JSON file per thread under ~/.sbk/threads/, written atomically
+ * (temp file + rename) so a crash mid-write never corrupts a conversation.
+ * Threads created by a signed-in wallet belong to it; anonymous threads
+ * (owner null) are only visible to anonymous callers.
+ */
+
+import crypto from 'node:crypto';
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { SBK_HOME } from './auth-store.mjs';
+
+const ID_PATTERN = /^[a-f0-9]{24}$/;
+const MAX_TITLE = 120;
+
+export function isThreadId(id) {
+  return ID_PATTERN.test(id);
+}
+
+export function cleanTitle(title, fallback = 'New thread') {
+  const clean = String(title || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE);
+  return clean || fallback;
+}
+
+function summarize(thread) {
+  return {
+    id: thread.id,
+    title: thread.title,
+    mode: thread.mode,
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+    messageCount: thread.messages.length,
+  };
+}
+
+export function createThreadStore(dir = join(SBK_HOME, 'threads')) {
+  const ready = mkdir(dir, { recursive: true, mode: 0o700 });
+
+  // Serialize writes per thread so concurrent appends can't lose messages
+  const locks = new Map();
+  function withLock(id, fn) {
+    const prev = locks.get(id) || Promise.resolve();
+    const next = prev.then(fn, fn);
+    const settled = next.catch(() => {});
+    locks.set(id, settled);
+    settled.then(() => { if (locks.get(id) === settled) locks.delete(id); });
+    return next;
+  }
+
+  const fileFor = (id) => join(dir, `${id}.json`);
+
+  async function load(id) {
+    if (!isThreadId(id)) return null;
+    await ready;
+    try {
+      return JSON.parse(await readFile(fileFor(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async function save(thread) {
+    const tmp = `${fileFor(thread.id)}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(thread, null, 2) + '\n', { mode: 0o600 });
+    await rename(tmp, fileFor(thread.id));
+  }
+
+  // Returns the thread only when `owner` may see it
+  async function get(id, owner = null) {
+    const thread = await load(id);
+    if (!thread || thread.owner !== owner) return null;
+    return thread;
+  }
+
+  async function create({ owner = null, title, mode = 'general' } = {}) {
+    await ready;
+    const now = new Date().toISOString();
+    const thread = {
+      id: crypto.randomBytes(12).toString('hex'),
+      owner,
+      title: cleanTitle(title),
+      mode,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+    };
+    await save(thread);
+    return thread;
+  }
+
+  async function list(owner = null) {
+    await ready;
+    const files = (await readdir(dir)).filter(f => /^[a-f0-9]{24}\.json$/.test(f));
+    const threads = [];
+    for (const file of files) {
+      const thread = await load(file.slice(0, -5));
+      if (thread && thread.owner === owner) threads.push(summarize(thread));
+    }
+    return threads.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  function append(id, owner, messages) {
+    return withLock(id, async () => {
+      const thread = await get(id, owner);
+      if (!thread) return null;
+      const now = new Date().toISOString();
+      thread.messages.push(...messages.map(m => ({ ...m, createdAt: now })));
+      thread.updatedAt = now;
+      await save(thread);
+      return thread;
+    });
+  }
+
+  function update(id, owner, changes) {
+    return withLock(id, async () => {
+      const thread = await get(id, owner);
+      if (!thread) return null;
+      if (changes.title !== undefined) thread.title = cleanTitle(changes.title, thread.title);
+      if (changes.mode !== undefined) thread.mode = changes.mode;
+      thread.updatedAt = new Date().toISOString();
+      await save(thread);
+      return thread;
+    });
+  }
+
+  function remove(id, owner) {
+    return withLock(id, async () => {
+      const thread = await get(id, owner);
+      if (!thread) return false;
+      await rm(fileFor(id), { force: true });
+      return true;
+    });
+  }
+
+  return { get, create, list, append, update, remove, summarize };
+}
@@ -0,0 +1,82 @@
+/**
+ * Sovereign Builder Kit — thinking tier router
+ *
+ * identity/soul.json defines `thinking_tiers` (fast / standard / deep), each
+ * with a model and trigger phrases. Every chat request is classified into a
+ * tier, in this order:
+ *
+ *   1. an explicit `tier` field on the request
+ *   2. trigger phrases in the message (the most capable matching tier wins)
+ *   3. the mode's tier from sbk.config.json `tiers.modes`
+ *   4. `tiers.default` (standard)
+ *
+ * Tiers then map to local models. `ollama/<name>` models are used as-is;
+ * cloud names (claude-opus, ...) go through `tiers.substitutes`. A tier with
+ * no installed substitute uses the mode's own model, so `standard` keeps
+ * the code-vs-general routing unless configured otherwise.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const SOUL_PATH = join(__dirname, 'identity', 'soul.json');
+
+export function loadSoulTiers(path = SOUL_PATH) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8')).thinking_tiers || {};
+  } catch {
+    return {};
+  }
+}
+
+// "status checks" -> /\bstatus checks?/i, so singular and plural both match
+function triggerPattern(phrase) {
+  const words = phrase.trim().split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/s$/i, '') + 's?');
+  return new RegExp(`\\b${words.join('\\s+')}\\b`, 'i');
+}
+
+/**
+ * @param {object} soulTiers - soul.json `thinking_tiers`, cheapest first
+ * @param {object} config - normalized sbk.config.json `tiers`
+ */
+export function createTierRouter(soulTiers, config) {
+  const names = Object.keys(soulTiers);
+
+  const triggers = names.map(name => ({
+    name,
+    phrases: [...(soulTiers[name].triggers || []), ...(config.triggers[name] || [])]
+      .map(phrase => ({ phrase, pattern: triggerPattern(phrase) })),
+  }));
+
+  // Local models to try for a tier, best first; empty means "use the mode's model"
+  function candidates(name) {
+    const model = soulTiers[name]?.model || '';
+    if (config.substitutes[model]) return config.substitutes[model];
+    if (model.startsWith('ollama/')) return [model.slice('ollama/'.length)];
+    return [];
+  }
+
+  // Returns { tier, rationale } or { error } for an unknown explicit tier
+  function classify({ mode, tier, message = '' }) {
+    if (!names.length) return { tier: null, rationale: 'no thinking_tiers in identity/soul.json' };
+
+    if (tier !== undefined) {
+      if (!names.includes(tier)) return { error: `Unknown tier: ${tier} (any of: ${names.join(', ')})` };
+      return { tier, rationale: 'requested explicitly' };
+    }
+
+    // Most capable tier first, so "quick architecture question" goes deep
+    for (const { name, phrases } of [...triggers].reverse()) {
+      const hit = phrases.find(({ pattern }) => pattern.test(message));
+      if (hit) return { tier: name, rationale: `matched ${name} trigger "${hit.phrase}"` };
+    }
+
+    if (config.modes[mode]) return { tier: config.modes[mode], rationale: `default tier for ${mode} mode` };
+    return { tier: config.default, rationale: 'default tier' };
+  }
+
+  return { names, classify, candidates };
+}
@@ -0,0 +1,282 @@
+/**
+ * Sovereign Builder Kit — scaffold verification
+ *
+ * Writes generated files to a throwaway directory and checks them the way a
+ * new user would find out they're broken: every JSON file must parse, every
+ * JavaScript file must pass `node --check`, dependencies must install from
+ * the local npm cache (`--offline --ignore-scripts`) and the project's own
+ * `npm test` must pass. Failures are turned into a repair prompt for the
+ * model; install failures that only mean "not in the offline cache" are
+ * reported but not blamed on the model.
+ *
+ * Foundry projects (a foundry.toml) also get `forge build` and `forge test`,
+ * with forge-std linked in from SBK_FORGE_STD or ~/.sbk/forge-std. Nothing
+ * is downloaded here: setup.mjs fetches the pinned FORGE_STD_TAG, and a
+ * missing checkout is reported, not repaired. When `slither` is installed it runs after a clean
+ * build; its findings are reported, not sent back for repair, and don't fail
+ * verification. A missing forge is reported and can't be repaired either.
+ * Forge runs with FOUNDRY_FFI=false, and a project that sets `ffi` or
+ * `fs_permissions` (in foundry.toml or inline `forge-config:` comments) is
+ * sent back instead of built: generated tests don't get to run commands or
+ * touch files outside the project.
+ *
+ * The test script is model-written code. It runs with a stripped
+ * environment (PATH, HOME, CI) and a timeout, but it does run on this
+ * machine — verification is opt-in for that reason.
+ */
+
+import { execFile } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { mkdir, mkdtemp, readFile, rm, symlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SBK_HOME } from './auth-store.mjs';
+import { planWrites, writePlan } from './project-files.mjs';
+
+export const DEFAULT_REPAIR_ROUNDS = 2;
+export const MAX_REPAIR_ROUNDS = 5;
+
+const CHECK_TIMEOUT_MS = 15_000;
+const INSTALL_TIMEOUT_MS = 120_000;
+const TEST_TIMEOUT_MS = 120_000;
+const MAX_OUTPUT = 4000;
+const NO_TEST = /no test specified/;
+const FORGE_TIMEOUT_MS = 300_000;
+const SLITHER_REPORT = '.sbk-slither.json';
+const FOUNDRY_ENV = { FOUNDRY_FFI: 'false' };
+const FOUNDRY_UNSAFE = /^\s*(ffi|fs_permissions)\s*=/m;
+const INLINE_UNSAFE = /forge-config:.*\b(ffi|fs_permissions)\b/;
+
+export const FORGE_STD_DIR = process.env.SBK_FORGE_STD || join(SBK_HOME, 'forge-std');
+export const FORGE_STD_REPO = 'https://github.com/foundry-rs/forge-std';
+export const FORGE_STD_TAG = 'v1.9.7';
+export const SLITHER_IMPACTS = ['High', 'Medium', 'Low', 'Informational', 'Optimization'];
+
+// Run a command in the project; resolves { ok, output } (never rejects).
+// Also used by the agent's run_command tool.
+export function runCommand(command, args, { cwd, timeout, signal, env }) {
+  return new Promise((resolve) => {
+    execFile(command, args, {
+      cwd,
+      timeout,
+      signal,
+      maxBuffer: 8 * 1024 * 1024,
+      env: {
+        PATH: process.env.PATH,
+        HOME: process.env.HOME,
+        CI: '1',
+        npm_config_offline: 'true',
+        npm_config_fund: 'false',
+        npm_config_audit: 'false',
+        ...env,
+      },
+    }, (err, stdout, stderr) => {
+      // Paths relative to the project, not the throwaway directory
+      let output = `${stdout}${stderr}`.split(`${cwd}/`).join('').trim();
+      if (err?.killed) output += `\n(stopped after ${timeout / 1000}s)`;
+      else if (err && !output) output = err.message;
+      resolve({ ok: !err, output: output.length > MAX_OUTPUT ? `...${output.slice(-MAX_OUTPUT)}` : output });
+    });
+  });
+}
+
+/**
+ * Check files already written to `dir`. `onCheck(check)` fires as each
+ * finishes. Returns { passed, checks: [{ name, file?, ok, output, repairable }] }.
+ */
+export async function verifyProject(dir, files, { signal, onCheck = () => {} } = {}) {
+  const checks = [];
+  const record = (check) => {
+    checks.push(check);
+    onCheck(check);
+  };
+
+  let pkg = null;
+  for (const { path, content } of files.filter(f => f.path.endsWith('.json'))) {
+    try {
+      const parsed = JSON.parse(content);
+      if (path === 'package.json') pkg = parsed;
+      record({ name: 'json', file: path, ok: true, output: '', repairable: true });
+    } catch (err) {
+      record({ name: 'json', file: path, ok: false, output: err.message, repairable: true });
+    }
+  }
+
+  for (const { path } of files.filter(f => /\.(m|c)?js$/.test(f.path))) {
+    const result = await runCommand(process.execPath, ['--check', path], { cwd: dir, timeout: CHECK_TIMEOUT_MS, signal });
+    record({ name: 'syntax', file: path, ...result, repairable: true });
+  }
+
+  if (files.some(f => f.path === 'foundry.toml')) await checkFoundry(dir, files, record, signal);
+
+  if (!pkg) return { passed: passedAll(checks), checks };
+
+  let installed = true;
+  if (Object.keys({ ...pkg.dependencies, ...pkg.devDependencies }).length) {
+    const result = await runCommand('npm', ['install', '--offline', '--ignore-scripts', '--no-audit', '--no-fund', '--loglevel=error'], {
+      cwd: dir, timeout: INSTALL_TIMEOUT_MS, signal,
+    });
+    // ENOTCACHED just means the package was never downloaded on this machine
+    record({ name: 'install', file: 'package.json', ...result, repairable: !/ENOTCACHED|offline/i.test(result.output) });
+    installed = result.ok;
+  }
+
+  const test = pkg.scripts?.test;
+  if (test && !NO_TEST.test(test) && installed) {
+    const result = await runCommand('npm', ['test', '--silent'], { cwd: dir, timeout: TEST_TIMEOUT_MS, signal });
+    record({ name: 'test', file: 'package.json', ...result, repairable: true });
+  }
+
+  return { passed: passedAll(checks), checks };
+}
+
+// Advisory checks (slither) are reported but never fail verification
+function passedAll(checks) {
+  return checks.every(c => c.ok || c.advisory);
+}
+
+// ── Foundry ────────────────────────────────────────────────────────
+
+export function hasForgeStd() {
+  return existsSync(join(FORGE_STD_DIR, 'src', 'Test.sol'));
+}
+
+// Link the local forge-std checkout into lib/
+async function linkForgeStd(dir) {
+  if (existsSync(join(dir, 'lib', 'forge-std'))) return { ok: true };
+  if (!hasForgeStd()) {
+    return {
+      ok: false,
+      output: `forge-std not found in ${FORGE_STD_DIR} — run \`node setup.mjs\` to fetch ${FORGE_STD_TAG}, `
+        + 'or set SBK_FORGE_STD to an existing checkout (`sbk doctor` checks it)',
+    };
+  }
+  await mkdir(join(dir, 'lib'), { recursive: true });
+  await symlink(FORGE_STD_DIR, join(dir, 'lib', 'forge-std'), 'dir');
+  return { ok: true };
+}
+
+// "Suite result: ok. 3 passed; 0 failed; 0 skipped" summed over suites
+function testCounts(output) {
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  for (const m of output.matchAll(/(\d+) passed; (\d+) failed; (\d+) skipped/g)) {
+    counts.passed += Number(m[1]);
+    counts.failed += Number(m[2]);
+    counts.skipped += Number(m[3]);
+  }
+  return counts;
+}
+
+// Slither's JSON report -> [{ check, impact, confidence, description }]
+async function slitherFindings(dir) {
+  try {
+    const report = JSON.parse(await readFile(join(dir, SLITHER_REPORT), 'utf8'));
+    return (report.results?.detectors || []).map(d => ({
+      check: d.check,
+      impact: d.impact,
+      confidence: d.confidence,
+      description: String(d.description || '').trim().split('\n')[0],
+    }));
+  } catch {
+    return null;
+  }
+}
+
+// Files that switch on ffi or file system access for tests
+function unsafeFoundryFiles(files) {
+  return files.filter(({ path, content }) => path === 'foundry.toml'
+    ? FOUNDRY_UNSAFE.test(content)
+    : path.endsWith('.sol') && INLINE_UNSAFE.test(content));
+}
+
+async function checkFoundry(dir, files, record, signal) {
+  const unsafe = unsafeFoundryFiles(files);
+  if (unsafe.length) {
+    for (const { path } of unsafe) {
+      record({
+        name: 'foundry config', file: path, ok: false, repairable: true,
+        output: 'ffi and fs_permissions are not allowed: remove them; tests must not run commands or use files outside the project',
+      });
+    }
+    return;
+  }
+
+  const options = { cwd: dir, timeout: FORGE_TIMEOUT_MS, signal, env: FOUNDRY_ENV };
+  if (!(await runCommand('forge', ['--version'], options)).ok) {
+    record({
+      name: 'forge', file: 'foundry.toml', ok: false, repairable: false,
+      output: 'forge not found — install Foundry: curl -L https://foundry.paradigm.xyz | bash && foundryup',
+    });
+    return;
+  }
+  const std = await linkForgeStd(dir);
+  if (!std.ok) {
+    record({ name: 'forge-std', file: 'foundry.toml', ok: false, output: std.output, repairable: false });
+    return;
+  }
+
+  const build = await runCommand('forge', ['build'], options);
+  record({ name: 'forge build', file: 'foundry.toml', ...build, repairable: true });
+  if (!build.ok) return;
+
+  const test = await runCommand('forge', ['test'], options);
+  record({ name: 'forge test', file: 'foundry.toml', ...test, tests: testCounts(test.output), repairable: true });
+
+  if (!(await runCommand('slither', ['--version'], options)).ok) return;
+  // Slither exits non-zero whenever it finds something; the report says what
+  const slither = await runCommand('slither', ['.', '--json', SLITHER_REPORT], options);
+  const findings = await slitherFindings(dir);
+  record({
+    name: 'slither',
+    file: 'foundry.toml',
+    ok: findings !== null && !findings.some(f => f.impact === 'High' || f.impact === 'Medium'),
+    output: findings ? findings.map(f => `[${f.impact}] ${f.check}: ${f.description}`).join('\n') : slither.output,
+    findings,
+    advisory: true,
+    repairable: false,
+  });
+}
+
+/**
+ * One structured summary of a Foundry verification (from runScaffold's
+ * `verify`): build and test status, test counts, and slither findings by
+ * impact (`slither` is null when it isn't installed or didn't run, and
+ * has `error` instead when it ran without producing a report).
+ */
+export function contractSummary(verify) {
+  const find = (name) => verify.checks.find(check => check.name === name);
+  const blocked = verify.checks.find(check => ['forge', 'forge-std'].includes(check.name));
+  const build = find('forge build');
+  const test = find('forge test');
+  const slither = find('slither');
+  return {
+    passed: verify.passed,
+    repairs: verify.repairs,
+    ...(blocked && { blocked: { name: blocked.name, output: blocked.output } }),
+    build: build ? { ok: build.ok } : null,
+    tests: test ? { ok: test.ok, ...test.tests } : null,
+    slither: slither && (slither.findings === null ? { error: slither.output } : {
+      counts: Object.fromEntries(SLITHER_IMPACTS.map(impact => [impact.toLowerCase(), slither.findings.filter(f => f.impact === impact).length])),
+      findings: slither.findings,
+    }),
+  };
+}
+
+// Write `files` to a fresh temp directory, verify, and remove it again
+export async function verifyFiles(files, options) {
+  const dir = await mkdtemp(join(tmpdir(), 'sbk-verify-'));
+  try {
+    await writePlan(await planWrites(dir, files), () => 'overwrite');
+    return await verifyProject(dir, files, options);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// The follow-up message asking the model to fix what failed
+export function repairPrompt(failed) {
+  const lines = failed.map(c => `### ${c.name}${c.file ? ` — ${c.file}` : ''}\n${c.output || '(no output)'}`);
+  return `The project you generated fails these checks:\n\n${lines.join('\n\n')}\n\n`
+    + 'Fix them. Return only the files that change, complete, in `files`. '
+    + 'To remove a file, return it with the content DELETE.';
+}